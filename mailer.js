@@ -0,0 +1,22 @@
+// mailer.js
+// Outgoing email, used for password reset links. Configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+// SMTP_USER, SMTP_PASS and MAIL_FROM. Without SMTP_HOST nothing is sent.
+// To try it locally, point SMTP_HOST and SMTP_PORT at a mail catcher such as Mailpit (localhost:1025).
+const nodemailer = require('nodemailer');
+
+function createMailer({ env = process.env } = {}) {
+    if (!env.SMTP_HOST) return null;
+    const transport = nodemailer.createTransport({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT, 10) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+    });
+    const from = env.MAIL_FROM || `Voice Petition <no-reply@${env.SMTP_HOST}>`;
+
+    return {
+        send: ({ to, subject, text }) => transport.sendMail({ from, to, subject, text })
+    };
+}
+
+module.exports = { createMailer };
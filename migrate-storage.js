@@ -0,0 +1,87 @@
+// migrate-storage.js
+// Copies every audio file from one storage driver to another and checks each copy by checksum.
+//
+//   node migrate-storage.js --from local --to s3 [--dry-run]
+//
+// Both drivers are configured from the same environment as the server (see storage.js). Source files are
+// never deleted: once the copy has been verified, switch STORAGE_DRIVER and remove the old files by hand.
+// Safe to re-run; files that already match at the destination are skipped.
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { createStorage } = require('./storage');
+
+const dataDir = process.env.RENDER_DISK_PATH || __dirname;
+const FOLDERS = ['uploads', 'sent_to_spotify', 'originals'];
+
+function parseArgs(argv) {
+    const args = { dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--from') args.from = argv[++i];
+        else if (argv[i] === '--to') args.to = argv[++i];
+        else if (argv[i] === '--dry-run') args.dryRun = true;
+    }
+    return args;
+}
+
+async function checksum(storage, key, tempPath) {
+    await storage.downloadFile(key, tempPath);
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(tempPath)) hash.update(chunk);
+    return hash.digest('hex');
+}
+
+async function main() {
+    const { from, to, dryRun } = parseArgs(process.argv.slice(2));
+    if (!from || !to || from === to) {
+        console.error('Usage: node migrate-storage.js --from <local|s3> --to <local|s3> [--dry-run]');
+        process.exit(2);
+    }
+    const source = createStorage({ dataDir, driver: from });
+    const target = createStorage({ dataDir, driver: to });
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-storage-'));
+    const sourceCopy = path.join(tempDir, 'source');
+    const targetCopy = path.join(tempDir, 'target');
+    const counts = { copied: 0, skipped: 0, failed: 0 };
+
+    try {
+        for (const folder of FOLDERS) {
+            const keys = await source.list(folder);
+            console.log(`[Migrate] ${folder}: ${keys.length} file(s)`);
+            for (const key of keys) {
+                try {
+                    const sourceHash = await checksum(source, key, sourceCopy);
+                    if (await target.stat(key) && await checksum(target, key, targetCopy) === sourceHash) {
+                        counts.skipped++;
+                        continue;
+                    }
+                    if (dryRun) {
+                        console.log(`[Migrate] Would copy ${key}`);
+                        counts.copied++;
+                        continue;
+                    }
+                    // putFile moves the local file in, which is fine: it's our temporary copy.
+                    await target.putFile(key, sourceCopy);
+                    const targetHash = await checksum(target, key, targetCopy);
+                    if (targetHash !== sourceHash) throw new Error(`checksum mismatch (${sourceHash} != ${targetHash})`);
+                    counts.copied++;
+                } catch (err) {
+                    console.error(`[Migrate] Failed to copy ${key}:`, err.message);
+                    counts.failed++;
+                }
+            }
+        }
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log(`[Migrate] ${counts.copied} ${dryRun ? 'to copy' : 'copied'}, ${counts.skipped} already present, ${counts.failed} failed.`);
+    if (counts.failed > 0) process.exit(1);
+}
+
+main().catch((err) => {
+    console.error('[Migrate] Migration failed:', err.message);
+    process.exit(1);
+});
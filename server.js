@@ -3,18 +3,29 @@
 // --- Import necessary libraries ---
 const express = require('express');
 const http = require('http');
+const https = require('https');
+const net = require('net');
+const dns = require('dns');
 const { Server } = require("socket.io");
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const cors = require('cors');
 const ffmpeg = require('fluent-ffmpeg');
 const archiver = require('archiver');
 const sqlite3 = require('sqlite3').verbose();
 const bcrypt = require('bcrypt');
 const session = require('express-session');
-const FileStore = require('session-file-store')(session);
+const SQLiteStore = require('connect-sqlite3')(session);
+const jwt = require('jsonwebtoken');
 require('dotenv').config();
+const postcodeAreas = require('./postcode-areas.json');
+const campaignDefaults = require('./campaign-defaults.json');
+const { createStorage } = require('./storage');
+const { createTranscriber, loadFlagRules, scanTranscript } = require('./transcription');
+const { createMailer } = require('./mailer');
+const totp = require('./totp');
 
 
 // --- Basic Setup ---
@@ -30,29 +41,182 @@ const dataDir = process.env.RENDER_DISK_PATH || __dirname;
 const uploadDir = path.join(dataDir, 'uploads');
 const sentDir = path.join(dataDir, 'sent_to_spotify');
 const dbFile = path.join(dataDir, 'database.sqlite');
-const sessionsDir = path.join(dataDir, 'sessions');
+const originalsDir = path.join(dataDir, 'originals');
+const exportsDir = path.join(dataDir, 'exports');
+const uploadSessionsDir = path.join(dataDir, 'upload-sessions');
+// Scratch space for files being received or processed. Finished audio goes to `audioStorage`.
+const workDir = path.join(dataDir, 'work');
+
+// Audio lives on the local disk by default, or in an S3-compatible bucket with STORAGE_DRIVER=s3 (see storage.js).
+const audioStorage = createStorage({ dataDir });
+const AUDIO_FOLDERS = ['uploads', 'sent_to_spotify', 'originals'];
+
+// Signs staff session cookies. Production refuses to start without SESSION_SECRET; elsewhere a random
+// secret is made up at start-up, which signs everyone out whenever the server restarts.
+let SESSION_SECRET = process.env.SESSION_SECRET;
+if (!SESSION_SECRET) {
+    if (process.env.NODE_ENV === 'production') {
+        console.error('[Auth] SESSION_SECRET must be set in production.');
+        process.exit(1);
+    }
+    console.warn('[Auth] SESSION_SECRET is not set, so a random one is being used. Staff will be signed out on every restart.');
+    SESSION_SECRET = crypto.randomBytes(32).toString('hex');
+}
+
+// Tokens handed to the Spotify extension so it can pull the publishing queue.
+const JWT_SECRET = process.env.JWT_SECRET || SESSION_SECRET;
+const PUBLISHER_TOKEN_TTL = process.env.PUBLISHER_TOKEN_TTL || '30d';
+
+// Dashboard audio is streamed through short-lived signed URLs rather than public static folders.
+const AUDIO_URL_TTL_MINUTES = parseInt(process.env.AUDIO_URL_TTL_MINUTES, 10) || 60;
+const AUDIO_URL_SECRET = process.env.AUDIO_URL_SECRET || JWT_SECRET;
+
+// A reviewer who starts playing a note holds a soft lock on it for this long, so nobody else acts on it by accident.
+const REVIEW_LOCK_TTL_MINUTES = parseInt(process.env.REVIEW_LOCK_TTL_MINUTES, 10) || 5;
+
+// "Review next" claims a note for one reviewer; a claim that is abandoned lapses after REVIEW_CLAIM_TTL_MINUTES.
+const REVIEW_CLAIM_TTL_MINUTES = parseInt(process.env.REVIEW_CLAIM_TTL_MINUTES, 10) || 15;
+// How new uploads are shared out: 'round-robin', 'least-loaded', or anything else to leave them unassigned.
+const AUTO_ASSIGN_POLICY = ['round-robin', 'least-loaded'].includes(process.env.AUTO_ASSIGN_POLICY) ? process.env.AUTO_ASSIGN_POLICY : null;
+
+// Podcast feed metadata. PUBLIC_BASE_URL should be the https address directories will fetch from.
+const FEED_CONFIG = {
+    baseUrl: process.env.PUBLIC_BASE_URL,
+    title: process.env.FEED_TITLE || 'The Dyslexia Revolution Voice Petition',
+    description: process.env.FEED_DESCRIPTION || 'Voice notes from people signing the Dyslexia Revolution voice petition, run by the British Dyslexia Association and Jamie Oliver Group.',
+    author: process.env.FEED_AUTHOR || 'British Dyslexia Association',
+    ownerName: process.env.FEED_OWNER_NAME || 'British Dyslexia Association',
+    ownerEmail: process.env.FEED_OWNER_EMAIL || 'marketing@bdadyslexia.org.uk',
+    artwork: process.env.FEED_ARTWORK || 'BDA.png',
+    language: process.env.FEED_LANGUAGE || 'en-gb',
+    category: process.env.FEED_CATEGORY || 'Education',
+    explicit: process.env.FEED_EXPLICIT === 'true',
+    guid: process.env.FEED_GUID
+};
+
+// Post-processing applied to every upload. The unprocessed transcode is always kept in originals/.
+const AUDIO_CONFIG = {
+    bitrate: process.env.AUDIO_BITRATE || '192k',
+    normaliseLoudness: process.env.AUDIO_NORMALISE !== 'false',
+    targetLoudness: parseFloat(process.env.AUDIO_TARGET_LUFS) || -16,
+    truePeak: parseFloat(process.env.AUDIO_TRUE_PEAK) || -1.5,
+    trimSilence: process.env.AUDIO_TRIM_SILENCE !== 'false',
+    silenceThreshold: process.env.AUDIO_SILENCE_THRESHOLD || '-45dB',
+    mono: process.env.AUDIO_MONO === 'true',
+    tagCampaign: process.env.AUDIO_TAG_CAMPAIGN || FEED_CONFIG.title,
+    tagArtwork: process.env.AUDIO_TAG_ARTWORK !== 'false'
+};
+
+// Recordings outside these limits get a warning badge in the dashboard rather than being rejected.
+const QUALITY_THRESHOLDS = {
+    minDurationSeconds: parseFloat(process.env.QUALITY_MIN_DURATION) || 5,
+    maxSilenceRatio: parseFloat(process.env.QUALITY_MAX_SILENCE_RATIO) || 0.6,
+    maxClippedSamples: parseInt(process.env.QUALITY_MAX_CLIPPED_SAMPLES, 10) || 50,
+    minSpeechRatio: parseFloat(process.env.QUALITY_MIN_SPEECH_RATIO) || 0.2,
+    silenceNoiseFloor: process.env.QUALITY_SILENCE_THRESHOLD || '-40dB'
+};
+
+// Notes are transcribed offline by the provider chosen in transcription.js (TRANSCRIBE_PROVIDER, WHISPER_CPP_*).
+// Transcripts are checked against the word lists and patterns in TRANSCRIPT_FLAGS_FILE for reviewers to look at.
+const TRANSCRIPT_FLAGS_FILE = process.env.TRANSCRIPT_FLAGS_FILE || path.join(__dirname, 'transcript-flags.json');
+
+// Roles in increasing order of power: read-only staff can listen, reviewers can act on notes,
+// admins manage users and anything that sends audio out of the system.
+const ROLES = ['read-only', 'reviewer', 'admin'];
+const INVITE_TTL_DAYS = parseInt(process.env.INVITE_TTL_DAYS, 10) || 7;
+
+// Staff sign-in. LOGIN_MAX_ATTEMPTS wrong passwords or codes in a row lock an account for LOGIN_LOCKOUT_MINUTES,
+// and each IP address gets LOGIN_RATE_MAX_PER_IP attempts per 15 minutes across all accounts.
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const LOGIN_RATE_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_RATE_MAX_PER_IP = parseInt(process.env.LOGIN_RATE_MAX_PER_IP, 10) || 30;
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 12;
+// Reset links are emailed through mailer.js and work once, within PASSWORD_RESET_TTL_MINUTES.
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+// Shown as the account name in authenticator apps.
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Voice Petition';
+const RECOVERY_CODE_COUNT = 8;
+const mailer = createMailer();
+
+// Reasons a reviewer can pick from when binning a note, and tags offered as suggestions.
+// Both can be overridden with a comma-separated list in the environment.
+const listFromEnv = (value, fallback) => value ? value.split(',').map(item => item.trim()).filter(Boolean) : fallback;
+const REJECTION_REASONS = listFromEnv(process.env.REJECTION_REASONS, [
+    'Background noise', 'Off-topic', 'Surname or other identifying detail', 'Child without guardian consent', 'Poor audio quality', 'Other'
+]);
+const SUGGESTED_TAGS = listFromEnv(process.env.SUGGESTED_TAGS, ['strong story', 'parent', 'teacher', 'young person', 'adult diagnosis']);
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+// The consent page promises recordings are kept for 8 months. RETENTION_MODE is
+// either 'delete' (remove the row entirely) or 'anonymise' (keep a row for stats).
+const RETENTION_MONTHS = parseInt(process.env.RETENTION_MONTHS, 10) || 8;
+const RETENTION_MODE = process.env.RETENTION_MODE === 'anonymise' ? 'anonymise' : 'delete';
+const RETENTION_CHECK_INTERVAL_MS = parseInt(process.env.RETENTION_CHECK_INTERVAL_MS, 10) || 1000 * 60 * 60;
+// Notes from before retention was enforced are kept at least this long after the upgrade, so staff
+// see them in the expiring soon view before any are deleted.
+const RETENTION_LEGACY_GRACE_DAYS = parseInt(process.env.RETENTION_LEGACY_GRACE_DAYS, 10) || 30;
+
+// Finished export ZIPs can be downloaded again for this long before they are deleted.
+const EXPORT_RETENTION_HOURS = parseInt(process.env.EXPORT_RETENTION_HOURS, 10) || 48;
+
+// Outbound webhooks. A failed delivery is retried WEBHOOK_RETRY_BASE_SECONDS later, then twice as long each time,
+// until WEBHOOK_MAX_ATTEMPTS tries have failed. Finished deliveries stay in the log for WEBHOOK_LOG_DAYS.
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const WEBHOOK_RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30;
+const WEBHOOK_LOG_DAYS = parseInt(process.env.WEBHOOK_LOG_DAYS, 10) || 30;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+// Endpoints must be public https:// addresses. Set to true only to try webhooks out against a receiver on a private
+// network or this machine; it also allows http://.
+const WEBHOOK_ALLOW_PRIVATE_TARGETS = process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true';
+const WEBHOOK_POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 15 * 1000;
+
+// Limits on the public upload endpoints. MAX_UPLOAD_SECONDS caps every campaign, whatever its own recording limit.
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES, 10) || 50 * 1024 * 1024;
+const MAX_UPLOAD_SECONDS = parseFloat(process.env.MAX_UPLOAD_SECONDS) || 120;
+const UPLOAD_RATE_WINDOW_MS = (parseInt(process.env.UPLOAD_RATE_WINDOW_MINUTES, 10) || 60) * 60 * 1000;
+const UPLOAD_RATE_MAX_PER_IP = parseInt(process.env.UPLOAD_RATE_MAX_PER_IP, 10) || 20;
+const UPLOAD_RATE_MAX_PER_DEVICE = parseInt(process.env.UPLOAD_RATE_MAX_PER_DEVICE, 10) || 5;
+// Leading zero bits the recorder page's proof of work has to find. 0 switches the challenge off.
+const UPLOAD_POW_DIFFICULTY = process.env.UPLOAD_POW_DIFFICULTY !== undefined ? parseInt(process.env.UPLOAD_POW_DIFFICULTY, 10) || 0 : 16;
+const UPLOAD_CHALLENGE_TTL_MS = 15 * 60 * 1000;
+const UPLOAD_CHALLENGE_SECRET = process.env.UPLOAD_CHALLENGE_SECRET || JWT_SECRET;
+// Recordings may run this far past their campaign's limit, since the recorder's timer isn't exact.
+const RECORDING_GRACE_SECONDS = 15;
+
+// Several voice petitions can run from one deployment, each with its recorder at /c/<slug>.
+// `/` shows DEFAULT_CAMPAIGN, or the oldest campaign if there is none with that slug.
+const DEFAULT_CAMPAIGN_SLUG = process.env.DEFAULT_CAMPAIGN || campaignDefaults.slug;
+
+// Resumable uploads from the recorder page. Sessions that are never completed are removed after UPLOAD_SESSION_TTL_HOURS.
+const UPLOAD_CHUNK_BYTES = parseInt(process.env.UPLOAD_CHUNK_BYTES, 10) || 256 * 1024;
+const UPLOAD_SESSION_TTL_HOURS = parseInt(process.env.UPLOAD_SESSION_TTL_HOURS, 10) || 72;
 
 // --- Middleware ---
+// Render terminates TLS in front of the app, so trust its proxy for req.ip in the audit log.
+app.set('trust proxy', 1);
 app.use(cors({
     origin: ['http://localhost:3000', 'http://127.0.0.1:5500', "http://localhost:5500"],
     credentials: true
 }));
 app.use(express.json()); 
 app.use(express.urlencoded({ extended: true }));
-app.use('/uploads', express.static(uploadDir));
 app.use('/images', express.static(path.join(__dirname, 'images')));
+// Translations for the recorder page, one file per language (en.json, cy.json).
+app.use('/locales', express.static(path.join(__dirname, 'locales')));
 
+// Sessions live in their own SQLite file so they survive restarts and staff can see where they are signed in.
+const sessionStore = new SQLiteStore({ db: 'sessions.sqlite', dir: dataDir, table: 'sessions', concurrentDb: true });
 const sessionMiddleware = session({
-    store: new FileStore({
-        path: sessionsDir,
-        logFn: function(){}
-    }),
+    store: sessionStore,
     name: 'voicenote_project.sid',
-    secret: process.env.SESSION_SECRET || 'a-very-strong-secret-key',
+    secret: SESSION_SECRET,
     resave: false,
     saveUninitialized: false,
     cookie: { 
-        secure: false,
+        // Secure whenever the request came in over https, which 'trust proxy' lets us see behind Render's proxy.
+        secure: 'auto',
         maxAge: 1000 * 60 * 60 * 24,
         httpOnly: true,
         sameSite: 'lax'
@@ -64,284 +228,3768 @@ app.use(sessionMiddleware);
 // --- Initialize Directories and Database ---
 if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir);
 if (!fs.existsSync(sentDir)) fs.mkdirSync(sentDir);
-if (!fs.existsSync(sessionsDir)) fs.mkdirSync(sessionsDir);
+if (!fs.existsSync(originalsDir)) fs.mkdirSync(originalsDir);
+if (!fs.existsSync(exportsDir)) fs.mkdirSync(exportsDir);
+if (!fs.existsSync(uploadSessionsDir)) fs.mkdirSync(uploadSessionsDir);
+if (!fs.existsSync(workDir)) fs.mkdirSync(workDir);
 
 const db = new sqlite3.Database(dbFile, (err) => {
     if (err) console.error('Error opening database', err.message);
     else {
         console.log('Connected to the SQLite database.');
-        db.run(`CREATE TABLE IF NOT EXISTS users (id INTEGER PRIMARY KEY, email TEXT UNIQUE, password TEXT)`);
-        db.run(`CREATE TABLE IF NOT EXISTS submissions (id INTEGER PRIMARY KEY, filename TEXT UNIQUE, status TEXT DEFAULT 'Needs Reviewing', approved_by TEXT, assignee_email TEXT, submitted_at TEXT, sent_at TEXT)`);
+        db.serialize(() => {
+            db.run(`CREATE TABLE IF NOT EXISTS users (id INTEGER PRIMARY KEY, email TEXT UNIQUE, password TEXT)`);
+            addColumn('users', "role TEXT DEFAULT 'reviewer'");
+            addColumn('users', 'disabled INTEGER DEFAULT 0');
+            addColumn('users', 'failed_logins INTEGER DEFAULT 0');
+            addColumn('users', 'locked_until TEXT');
+            addColumn('users', 'password_changed_at TEXT');
+            // Two-factor sign-in: the TOTP secret, the last time step used (codes can't be replayed) and
+            // hashes of the unused recovery codes as a JSON array.
+            addColumn('users', 'totp_secret TEXT');
+            addColumn('users', 'totp_last_counter INTEGER');
+            addColumn('users', 'totp_recovery_codes TEXT');
+            addColumn('users', 'totp_enabled_at TEXT');
+            db.run(`CREATE TABLE IF NOT EXISTS password_resets (id INTEGER PRIMARY KEY, user_id INTEGER, token_hash TEXT UNIQUE, created_at TEXT, expires_at TEXT, used_at TEXT)`);
+            db.run(`CREATE TABLE IF NOT EXISTS invites (id INTEGER PRIMARY KEY, token TEXT UNIQUE, email TEXT, role TEXT, created_by TEXT, created_at TEXT, expires_at TEXT, used_at TEXT, used_by TEXT, revoked_at TEXT)`);
+            // Accounts created before roles existed: the oldest one becomes the admin.
+            db.run(`UPDATE users SET role = 'admin' WHERE id = (SELECT MIN(id) FROM users) AND NOT EXISTS (SELECT 1 FROM users WHERE role = 'admin')`);
+            db.run(`CREATE TABLE IF NOT EXISTS submissions (id INTEGER PRIMARY KEY, filename TEXT UNIQUE, status TEXT DEFAULT 'Needs Reviewing', approved_by TEXT, assignee_email TEXT, submitted_at TEXT, sent_at TEXT)`);
+            addColumn('submissions', 'consent_version TEXT');
+            addColumn('submissions', 'consent_given_at TEXT');
+            addColumn('submissions', 'retention_expires_at TEXT');
+            addColumn('submissions', 'purged_at TEXT');
+            addColumn('submissions', 'receipt_code TEXT');
+            addColumn('submissions', 'withdrawn_at TEXT');
+            addColumn('submissions', 'published_at TEXT');
+            addColumn('submissions', 'published_by TEXT');
+            addColumn('submissions', 'publish_error TEXT');
+            addColumn('submissions', 'feed_guid TEXT');
+            addColumn('submissions', 'feed_added_at TEXT');
+            addColumn('submissions', 'duration_seconds REAL');
+            addColumn('submissions', 'loudness_lufs REAL');
+            addColumn('submissions', 'processing_chain TEXT');
+            addColumn('submissions', 'silence_ratio REAL');
+            addColumn('submissions', 'peak_db REAL');
+            addColumn('submissions', 'clipped_samples INTEGER');
+            addColumn('submissions', 'speech_ratio REAL');
+            addColumn('submissions', 'quality_flags TEXT');
+            addColumn('submissions', 'status_changed_by TEXT');
+            addColumn('submissions', 'status_changed_at TEXT');
+            addColumn('submissions', 'rejection_reason TEXT');
+            addColumn('submissions', 'tags TEXT');
+            addColumn('submissions', 'postcode_district TEXT');
+            // SHA-256 of the bytes the contributor sent, used to spot the same recording being sent again.
+            addColumn('submissions', 'content_hash TEXT');
+            addColumn('submissions', 'duplicate_count INTEGER DEFAULT 0');
+            addColumn('submissions', 'last_duplicate_at TEXT');
+            // Audio files are stored as <audio_key>.mp3 so nothing personal appears in paths or URLs.
+            addColumn('submissions', 'audio_key TEXT');
+            addColumn('submissions', 'first_name TEXT');
+            addColumn('submissions', 'claimed_by TEXT');
+            addColumn('submissions', 'claim_expires_at TEXT');
+            addColumn('submissions', 'campaign_id INTEGER');
+            db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_submissions_receipt_code ON submissions (receipt_code)`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_submissions_status_submitted ON submissions (status, submitted_at)`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_submissions_postcode_district ON submissions (postcode_district)`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_submissions_content_hash ON submissions (content_hash)`);
+            db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_submissions_audio_key ON submissions (audio_key)`);
+            backfillPostcodeDistricts();
+            db.run(`CREATE TABLE IF NOT EXISTS withdrawal_requests (id INTEGER PRIMARY KEY, submission_id INTEGER, receipt_code TEXT, requested_at TEXT, erased_at TEXT)`);
+            db.run(`CREATE TABLE IF NOT EXISTS submission_notes (id INTEGER PRIMARY KEY, submission_id INTEGER, author TEXT, body TEXT, created_at TEXT)`);
+            db.run(`CREATE TABLE IF NOT EXISTS status_history (id INTEGER PRIMARY KEY, submission_id INTEGER, transition TEXT, from_status TEXT, to_status TEXT, actor TEXT, created_at TEXT)`);
+            db.run(`CREATE TABLE IF NOT EXISTS audit_log (id INTEGER PRIMARY KEY, created_at TEXT, actor TEXT, action TEXT, submission_id INTEGER, target TEXT, before_value TEXT, after_value TEXT, ip TEXT)`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_audit_log_submission ON audit_log (submission_id)`);
+            db.run(`CREATE TABLE IF NOT EXISTS export_jobs (id INTEGER PRIMARY KEY, created_by TEXT, created_at TEXT, status TEXT, submission_ids TEXT, total INTEGER, processed INTEGER DEFAULT 0,
+                missing TEXT, size_bytes INTEGER, error TEXT, completed_at TEXT, expires_at TEXT, downloaded_at TEXT)`);
+            // A restart kills any export that was still being built.
+            db.run(`UPDATE export_jobs SET status = 'failed', error = 'The server restarted before this export finished.' WHERE status IN ('queued', 'running')`);
+            db.run(`CREATE TABLE IF NOT EXISTS upload_sessions (id TEXT PRIMARY KEY, created_at TEXT, updated_at TEXT, total_bytes INTEGER, received_bytes INTEGER DEFAULT 0,
+                first_name TEXT, postcode TEXT, consent_version TEXT, consent_given_at TEXT, status TEXT DEFAULT 'open', receipt_code TEXT)`);
+            // A restart interrupts any assembly in progress; the chunks are still on disk, so let the client complete again.
+            db.run(`UPDATE upload_sessions SET status = 'open' WHERE status = 'processing'`);
+            addColumn('upload_sessions', 'campaign_id INTEGER');
+            addColumn('export_jobs', 'campaign_id INTEGER');
+            db.run(`CREATE TABLE IF NOT EXISTS campaigns (id INTEGER PRIMARY KEY, slug TEXT UNIQUE, name TEXT, heading TEXT, subheading TEXT, intro TEXT, opening_line TEXT,
+                logos TEXT, brand_color TEXT, prompts TEXT, consent_version TEXT, recording_seconds INTEGER, countdown_seconds INTEGER, opens_at TEXT, closes_at TEXT,
+                created_at TEXT, created_by TEXT, updated_at TEXT)`);
+            db.run(`CREATE TABLE IF NOT EXISTS campaign_consents (id INTEGER PRIMARY KEY, campaign_id INTEGER, version TEXT, body TEXT, created_at TEXT, created_by TEXT,
+                UNIQUE (campaign_id, version))`);
+            db.run(`CREATE TABLE IF NOT EXISTS prompts (id INTEGER PRIMARY KEY, campaign_id INTEGER, text TEXT, position INTEGER, retired_at TEXT, created_at TEXT, created_by TEXT)`);
+            addColumn('submissions', 'prompt_id INTEGER');
+            addColumn('upload_sessions', 'prompt_id INTEGER');
+            seedDefaultCampaign();
+            movePromptsToTable();
+            db.run(`CREATE TABLE IF NOT EXISTS transcripts (submission_id INTEGER PRIMARY KEY, status TEXT, provider TEXT, language TEXT, text TEXT,
+                segments TEXT, flags TEXT, flag_categories TEXT, error TEXT, requested_at TEXT, completed_at TEXT)`);
+            // Transcription jobs live only in memory, so pick up whatever a restart interrupted.
+            db.all(`SELECT submission_id FROM transcripts WHERE status IN ('queued', 'running') ORDER BY requested_at`, (err, rows) => {
+                if (!err) rows.forEach(row => queueTranscription(row.submission_id));
+            });
+            db.run(`CREATE TABLE IF NOT EXISTS retention_log (id INTEGER PRIMARY KEY, submission_id INTEGER, action TEXT, files_removed INTEGER, run_at TEXT)`);
+            db.run(`CREATE TABLE IF NOT EXISTS webhooks (id INTEGER PRIMARY KEY, url TEXT, description TEXT, events TEXT, secret TEXT, active INTEGER DEFAULT 1,
+                created_at TEXT, created_by TEXT, updated_at TEXT)`);
+            db.run(`CREATE TABLE IF NOT EXISTS webhook_deliveries (id INTEGER PRIMARY KEY, webhook_id INTEGER, submission_id INTEGER, event_id TEXT, event_type TEXT,
+                payload TEXT, status TEXT DEFAULT 'pending', attempts INTEGER DEFAULT 0, next_attempt_at TEXT, last_attempt_at TEXT, response_status INTEGER,
+                response_body TEXT, error TEXT, created_at TEXT, delivered_at TEXT, redelivery_of INTEGER)`);
+            db.run('CREATE INDEX IF NOT EXISTS webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)');
+            startWebhookDeliveries();
+
+            // Notes uploaded before consent was recorded still fall under the 8-month promise, but none expire
+            // until the grace period after this upgrade has passed.
+            db.run(`UPDATE submissions SET retention_expires_at = MAX(strftime('%Y-%m-%dT%H:%M:%fZ', submitted_at, '+${RETENTION_MONTHS} months'),
+                    strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '+${RETENTION_LEGACY_GRACE_DAYS} days'))
+                WHERE retention_expires_at IS NULL AND submitted_at IS NOT NULL`, function(err) {
+                if (err) return console.error('[Retention] Failed to set expiry dates for older notes:', err.message);
+                if (this.changes > 0) console.log(`[Retention] ${this.changes} older note(s) will expire no sooner than ${RETENTION_LEGACY_GRACE_DAYS} days from now.`);
+            });
+
+            // The retention job looks files up by audio key, so it waits for older notes to be given one.
+            moveAudioToOpaqueKeys(startRetentionJob);
+        });
     }
 });
 
+// Filenames are `<name>-<postcode district>[-n].mp3`. Names may contain hyphens, but districts start with a letter.
+// Uploads without a postcode are saved as `-local`, which isn't a district.
+const FILENAME_PATTERN = /^(.+)-([A-Za-z][^-]*)(?:-\d+)?\.mp3$/;
+
+function postcodeDistrictFromFilename(filename) {
+    const match = FILENAME_PATTERN.exec(filename);
+    return match && match[2].toLowerCase() !== 'local' ? match[2].toUpperCase() : null;
+}
+
+// Spaces and punctuation in names were replaced with underscores when the file was saved.
+function firstNameFromFilename(filename) {
+    const match = FILENAME_PATTERN.exec(filename);
+    return match ? match[1].replace(/_/g, ' ').trim() : null;
+}
+
+// Notes uploaded before the district had its own column get it from their filename.
+function backfillPostcodeDistricts() {
+    db.all(`SELECT id, filename FROM submissions WHERE postcode_district IS NULL AND purged_at IS NULL`, [], (err, rows) => {
+        if (err) return console.error('Error reading submissions for postcode backfill:', err.message);
+        rows.forEach(row => {
+            const district = postcodeDistrictFromFilename(row.filename);
+            if (district) db.run('UPDATE submissions SET postcode_district = ? WHERE id = ?', [district, row.id]);
+        });
+    });
+}
+
+const generateAudioKey = () => crypto.randomBytes(16).toString('hex');
+const audioFileName = (audioKey) => `${audioKey}.mp3`;
+const storageKey = (folder, audioKey) => `${folder}/${audioFileName(audioKey)}`;
+
+// Notes uploaded before audio keys existed are stored under their personal-data filename.
+// Give each one a key, rename its files and copy the first name into its own column.
+// Those files predate the storage drivers, so they are always on the local disk; migrate-storage.js moves them on.
+function moveAudioToOpaqueKeys(done) {
+    db.all(`SELECT id, filename FROM submissions WHERE audio_key IS NULL AND purged_at IS NULL`, [], (err, rows) => {
+        if (err) {
+            console.error('Error reading submissions for audio key migration:', err.message);
+            return done();
+        }
+        if (rows.length === 0) return done();
+        let remaining = rows.length;
+        rows.forEach(row => {
+            const audioKey = generateAudioKey();
+            [uploadDir, sentDir, originalsDir].forEach(dir => {
+                const oldPath = path.join(dir, row.filename);
+                try {
+                    if (fs.existsSync(oldPath)) fs.renameSync(oldPath, path.join(dir, audioFileName(audioKey)));
+                } catch (renameErr) {
+                    console.error(`Could not rename ${oldPath}:`, renameErr.message);
+                }
+            });
+            db.run('UPDATE submissions SET audio_key = ?, first_name = COALESCE(first_name, ?) WHERE id = ?', [audioKey, firstNameFromFilename(row.filename), row.id], (updateErr) => {
+                if (updateErr) console.error(`Could not record the audio key for submission #${row.id}:`, updateErr.message);
+                remaining--;
+                if (remaining === 0) {
+                    console.log(`Moved audio for ${rows.length} submission(s) to opaque file names.`);
+                    done();
+                }
+            });
+        });
+    });
+}
+
+// The petition that ran before campaigns existed becomes the first campaign, and notes from before then are filed under it.
+function seedDefaultCampaign() {
+    db.get('SELECT COUNT(*) AS count FROM campaigns', [], (err, row) => {
+        if (err) return console.error('Error checking campaigns:', err.message);
+        if (row.count > 0) return fileUnassignedSubmissions();
+        const now = new Date().toISOString();
+        db.run(`INSERT INTO campaigns (slug, name, heading, subheading, intro, opening_line, logos, brand_color, consent_version, recording_seconds, countdown_seconds,
+                created_at, created_by, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'system', ?)`,
+            [campaignDefaults.slug, campaignDefaults.name, campaignDefaults.heading, campaignDefaults.subheading, campaignDefaults.intro,
+                campaignDefaults.openingLine, JSON.stringify(campaignDefaults.logos), campaignDefaults.brandColor,
+                campaignDefaults.consentVersion, campaignDefaults.recordingSeconds, campaignDefaults.countdownSeconds, now, now],
+            function(insertErr) {
+                if (insertErr) return console.error('Error creating the default campaign:', insertErr.message);
+                db.run(`INSERT INTO campaign_consents (campaign_id, version, body, created_at, created_by) VALUES (?, ?, ?, ?, 'system')`,
+                    [this.lastID, campaignDefaults.consentVersion, campaignDefaults.consent, now]);
+                db.serialize(() => campaignDefaults.prompts.forEach((text, position) => {
+                    db.run(`INSERT INTO prompts (campaign_id, text, position, created_at, created_by) VALUES (?, ?, ?, ?, 'system')`, [this.lastID, text, position, now]);
+                }));
+                console.log(`Created the "${campaignDefaults.name}" campaign.`);
+                fileUnassignedSubmissions();
+            });
+    });
+}
+
+// Prompts were first kept as a JSON list on each campaign. Any still there become rows, so notes can point at them.
+function movePromptsToTable() {
+    db.all('SELECT id, prompts, created_at FROM campaigns WHERE prompts IS NOT NULL', [], (err, rows) => {
+        if (err) return console.error('Error reading campaign prompts:', err.message);
+        db.serialize(() => rows.forEach(row => {
+            JSON.parse(row.prompts).forEach((text, position) => {
+                db.run(`INSERT INTO prompts (campaign_id, text, position, created_at, created_by) VALUES (?, ?, ?, ?, 'system')`, [row.id, text, position, row.created_at]);
+            });
+            db.run('UPDATE campaigns SET prompts = NULL WHERE id = ?', [row.id]);
+        }));
+    });
+}
+
+function fileUnassignedSubmissions() {
+    const defaultCampaign = '(SELECT id FROM campaigns ORDER BY slug = ? DESC, id ASC LIMIT 1)';
+    db.run(`UPDATE submissions SET campaign_id = ${defaultCampaign} WHERE campaign_id IS NULL`, [DEFAULT_CAMPAIGN_SLUG]);
+    db.run(`UPDATE upload_sessions SET campaign_id = ${defaultCampaign} WHERE campaign_id IS NULL`, [DEFAULT_CAMPAIGN_SLUG]);
+}
+
+// Promise versions of the sqlite3 calls, for code that reads better with async/await.
+const dbAll = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+});
+const dbGet = (sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+});
+const dbRun = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) { return err ? reject(err) : resolve(this); });
+});
+
+// Adds a column to an existing table, ignoring the error if it is already there.
+function addColumn(table, columnDef) {
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${columnDef}`, (err) => {
+        if (err && !/duplicate column/i.test(err.message)) console.error(`Error adding column to ${table}:`, err.message);
+    });
+}
+
 // --- Multer Configuration (File Upload Handling) ---
+// The declared type is only a first filter; saveSubmission checks the file really is audio with ffprobe.
 const storage = multer.diskStorage({
-    destination: (req, file, cb) => cb(null, uploadDir),
-    filename: (req, file, cb) => cb(null, `temp-${Date.now()}.wav`)
+    destination: (req, file, cb) => cb(null, workDir),
+    filename: (req, file, cb) => cb(null, `temp-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.upload`)
 });
-const upload = multer({ storage }).single('audio');
+const upload = multer({
+    storage,
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => cb(null, /^(audio|video)\//.test(file.mimetype) || file.mimetype === 'application/octet-stream')
+}).single('audio');
 
 
 // --- Real-time Logic ---
-io.on('connection', (socket) => {
-    console.log(`A staff member connected. Socket ID: ${socket.id}`);
-    socket.on('disconnect', () => {
-        console.log(`A staff member disconnected. Socket ID: ${socket.id}`);
+// Sockets share the express session, so only logged-in staff can connect and every socket carries its user.
+// A user's sockets are dropped when they log out, are disabled or change role; the dashboard reloads when that happens.
+io.engine.use(sessionMiddleware);
+io.use((socket, next) => {
+    const userId = socket.request.session && socket.request.session.userId;
+    if (!userId) return next(new Error('Unauthorized'));
+    db.get('SELECT id, email, role, disabled FROM users WHERE id = ?', [userId], (err, user) => {
+        if (err || !user || user.disabled) return next(new Error('Unauthorized'));
+        socket.data.user = user;
+        next();
     });
 });
 
-function broadcastUpdate() {
-    io.emit('submissions_updated');
-    console.log('Broadcasted submissions_updated event to all clients.');
+function disconnectUserSockets(userId) {
+    io.of('/').sockets.forEach(socket => {
+        if (socket.data.user.id === Number(userId)) socket.disconnect(true);
+    });
 }
 
+function disconnectSessionSockets(sessionIds) {
+    io.of('/').sockets.forEach(socket => {
+        if (sessionIds.includes(socket.request.sessionID)) socket.disconnect(true);
+    });
+}
 
-// --- Authentication Middleware ---
-const requireLogin = (req, res, next) => {
-    if (req.session && req.session.userId) {
-        return next();
-    } else {
-        return res.status(401).json({ message: 'Unauthorized. Please log in.' });
-    }
-};
+// Submission events carry the changed row so dashboards can patch it in place. `previousStatus` is set when
+// the note moved between lists. Audio URLs are signed per user, so each socket gets its own copy of the row.
+function broadcastSubmission(id, { created = false, previousStatus = null } = {}) {
+    db.get(`SELECT ${SUBMISSION_LIST_COLUMNS} FROM submissions WHERE id = ?`, [id], (err, sub) => {
+        if (err) return console.error(`[Realtime] Failed to load submission #${id}:`, err.message);
+        if (!sub) return broadcastSubmissionDeleted(id);
+        const event = created ? 'submission_created' : 'submission_updated';
+        io.of('/').sockets.forEach(socket => socket.emit(event, { submission: withAudioUrls(sub, socket.data.user.id), previousStatus }));
+    });
+}
 
+function broadcastSubmissionDeleted(id) {
+    releaseReviewLock(Number(id));
+    io.emit('submission_deleted', { id: Number(id) });
+}
 
-// --- Page Serving Routes ---
-app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
-app.get('/staff', (req, res) => res.sendFile(path.join(__dirname, 'staff.html')));
+// PRESENCE AND REVIEW LOCKS
+// Both are kept in memory: they describe who is on the dashboard right now and disappear with the sockets.
+// `listening` maps a socket to the note it is playing; `reviewLocks` maps a note to the reviewer holding it.
+const listening = new Map();
+const reviewLocks = new Map();
 
+function listenersFor(submissionId) {
+    const emails = new Set();
+    io.of('/').sockets.forEach(socket => {
+        if (listening.get(socket.id) === submissionId) emails.add(socket.data.user.email);
+    });
+    return [...emails];
+}
 
-// --- API Routes ---
+const emitPresence = (submissionId) => io.emit('presence_updated', { submissionId, listeners: listenersFor(submissionId) });
 
-// USER AUTHENTICATION
-app.post('/api/register', async (req, res) => {
-    const { email, password } = req.body;
-    if (!email || !password) return res.status(400).json({ message: 'Email and password are required.' });
-    const hashedPassword = await bcrypt.hash(password, 10);
-    db.run('INSERT INTO users (email, password) VALUES (?, ?)', [email, hashedPassword], function(err) {
-        if (err) return res.status(400).json({ message: 'This email is already registered.' });
-        res.status(201).json({ message: 'User registered successfully.' });
+function emitReviewLock(submissionId) {
+    const lock = reviewLocks.get(submissionId);
+    io.emit('review_lock_updated', { submissionId, lockedBy: lock ? lock.email : null });
+}
+
+function releaseReviewLock(submissionId) {
+    if (reviewLocks.delete(submissionId)) emitReviewLock(submissionId);
+}
+
+// The lock on a note, if someone other than userId holds it.
+function reviewLockHeldByOther(submissionId, userId) {
+    const lock = reviewLocks.get(Number(submissionId));
+    return lock && lock.userId !== userId ? lock : null;
+}
+
+// Locks are soft: they lapse on their own, so a reviewer who walks away doesn't block the note for long.
+setInterval(() => {
+    reviewLocks.forEach((lock, submissionId) => {
+        if (lock.expiresAt <= Date.now()) releaseReviewLock(submissionId);
     });
-});
+}, 30 * 1000);
 
-app.post('/api/login', (req, res) => {
-    const { email, password } = req.body;
-    db.get('SELECT * FROM users WHERE email = ?', [email], async (err, user) => {
-        if (!user) return res.status(401).json({ message: 'Invalid credentials.' });
-        
-        const match = await bcrypt.compare(password, user.password);
-        
-        if (match) {
-            req.session.regenerate((regenErr) => {
-                if (regenErr) return res.status(500).json({ message: "Error starting session." });
-                
-                req.session.userId = user.id;
-                req.session.userEmail = user.email;
-                
-                req.session.save((saveErr) => {
-                    if (saveErr) return res.status(500).json({ message: "Error saving session." });
-                    console.log(`[Login Success] Session regenerated and saved for user: ${req.session.userEmail}`);
-                    res.status(200).json({ message: 'Login successful.' });
-                });
-            });
-        } else {
-            res.status(401).json({ message: 'Invalid credentials.' });
-        }
+io.on('connection', (socket) => {
+    const { user } = socket.data;
+    console.log(`${user.email} connected. Socket ID: ${socket.id}`);
+    const listeners = {};
+    listening.forEach(submissionId => { listeners[submissionId] = listenersFor(submissionId); });
+    const locks = {};
+    reviewLocks.forEach((lock, submissionId) => { locks[submissionId] = lock.email; });
+    socket.emit('presence_snapshot', { listeners, locks });
+
+    socket.on('listening', ({ submissionId } = {}) => {
+        const previous = listening.get(socket.id);
+        const id = Number.isInteger(submissionId) ? submissionId : null;
+        if (id === null) listening.delete(socket.id);
+        else listening.set(socket.id, id);
+        if (previous !== undefined && previous !== id) emitPresence(previous);
+        if (id !== null) emitPresence(id);
     });
-});
 
-app.post('/api/logout', (req, res) => {
-    const userEmail = req.session.userEmail;
-    req.session.destroy((err) => {
-        if (err) return res.status(500).json({ message: 'Could not log out.' });
-        res.clearCookie('voicenote_project.sid');
-        console.log(`[Logout Success] Session destroyed for user: ${userEmail}`);
-        res.status(200).json({ message: 'Logout successful.' });
+    // Replies { ok: true } when the lock is now held by this user, or { ok: false, lockedBy } when someone else has it.
+    socket.on('review_lock', ({ submissionId } = {}, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        if (!Number.isInteger(submissionId) || !['reviewer', 'admin'].includes(user.role)) return reply({ ok: false });
+        const held = reviewLockHeldByOther(submissionId, user.id);
+        if (held) return reply({ ok: false, lockedBy: held.email });
+
+        // One lock per reviewer: starting on another note releases the last one.
+        reviewLocks.forEach((lock, lockedId) => {
+            if (lock.userId === user.id && lockedId !== submissionId) releaseReviewLock(lockedId);
+        });
+        const isNew = !reviewLocks.has(submissionId);
+        reviewLocks.set(submissionId, { userId: user.id, email: user.email, expiresAt: Date.now() + REVIEW_LOCK_TTL_MINUTES * 60 * 1000 });
+        if (isNew) emitReviewLock(submissionId);
+        reply({ ok: true });
     });
-});
 
-app.get('/api/users', requireLogin, (req, res) => {
-    db.all('SELECT id, email FROM users', [], (err, users) => {
-        if (err) {
-            return res.status(500).json({ message: 'Failed to retrieve users.' });
+    socket.on('disconnect', () => {
+        console.log(`${user.email} disconnected. Socket ID: ${socket.id}`);
+        const previous = listening.get(socket.id);
+        listening.delete(socket.id);
+        if (previous !== undefined) emitPresence(previous);
+        // The reviewer may have the dashboard open in another tab, which keeps their lock alive.
+        const stillConnected = [...io.of('/').sockets.values()].some(other => other.data.user.id === user.id);
+        if (!stillConnected) {
+            reviewLocks.forEach((lock, lockedId) => {
+                if (lock.userId === user.id) releaseReviewLock(lockedId);
+            });
         }
-        res.json(users);
     });
 });
 
 
-// STAFF DASHBOARD API
-// UPDATED: Get submissions with optional filtering by assignee
-app.get('/api/submissions', requireLogin, (req, res) => {
-    const { assignee } = req.query;
-    let query = 'SELECT * FROM submissions';
-    const params = [];
+// --- Submission Workflow ---
+// Every status change is one of these transitions. `from` lists the states it may start in and `roles`
+// who may take it. System transitions are taken by the server itself (downloads, publish reports from
+// the extension, contributor withdrawals) and can't be triggered from the dashboard's status buttons.
+const REVIEWER_ROLES = ['reviewer', 'admin'];
+const WORKFLOW_TRANSITIONS = {
+    approve: { label: 'Approve', from: ['Needs Reviewing'], to: 'Approved', roles: REVIEWER_ROLES },
+    retry_publish: { label: 'Retry Publish', from: ['Publish failed'], to: 'Approved', roles: REVIEWER_ROLES },
+    send_to_review: { label: 'Review', from: ['Approved', 'Publish failed'], to: 'Needs Reviewing', roles: REVIEWER_ROLES },
+    bin: { label: 'Bin', from: ['Needs Reviewing', 'Approved', 'Downloaded', 'Publish failed'], to: 'Binned', roles: REVIEWER_ROLES },
+    restore: { label: 'Restore', from: ['Binned', 'Downloaded'], to: 'Needs Reviewing', roles: REVIEWER_ROLES },
+    download: { from: ['Approved'], to: 'Downloaded', roles: ['admin'], system: true },
+    publish: { from: ['Approved'], to: 'Published', roles: ['admin'], system: true },
+    publish_failed: { from: ['Approved'], to: 'Publish failed', roles: ['admin'], system: true },
+    withdraw: { from: ['Needs Reviewing', 'Approved', 'Downloaded', 'Published', 'Publish failed', 'Binned'], to: 'Withdrawn', roles: [], system: true }
+};
+
+const workflowError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
 
-    // Filter only the "Needs Reviewing" submissions if an assignee is selected
-    if (assignee && assignee !== 'all') {
-        query += ' WHERE assignee_email = ? AND status = "Needs Reviewing"';
-        params.push(assignee);
+// Moves `sub` (which must carry its current id and status) along a transition and records who did it.
+// `fields` are extra columns to set in the same update. The update only applies if the status is still
+// the one we read, so two staff clicking at once can't both win.
+function transitionSubmission(sub, name, actor, fields, callback) {
+    const transition = WORKFLOW_TRANSITIONS[name];
+    if (!transition.from.includes(sub.status)) {
+        return callback(workflowError(409, `A submission that is ${sub.status} can't be moved to ${transition.to}.`));
     }
-    
-    query += ' ORDER BY submitted_at DESC';
+    const now = new Date().toISOString();
+    // Any status change finishes the review, so a "Review next" claim on the note ends with it.
+    const updates = { status: transition.to, status_changed_by: actor, status_changed_at: now, claimed_by: null, claim_expires_at: null, ...fields };
+    // Pulling a note back out of the approved states also drops it from the podcast feed.
+    if (!FEED_STATUSES.includes(transition.to)) updates.feed_added_at = null;
+    const columns = Object.keys(updates);
 
-    db.all(query, params, (err, rows) => {
-        if (err) return res.status(500).json({ message: 'Failed to retrieve submissions.' });
-        
-        // If the filter is active, we still need to get the other categories unfiltered
-        if (assignee && assignee !== 'all') {
-             db.all("SELECT * FROM submissions WHERE status != 'Needs Reviewing' ORDER BY submitted_at DESC", [], (err2, otherRows) => {
-                if (err2) return res.status(500).json({ message: 'Failed to retrieve submissions.' });
-                res.json([...rows, ...otherRows]);
-             });
-        } else {
-            res.json(rows);
+    db.run(
+        `UPDATE submissions SET ${columns.map(col => `${col} = ?`).join(', ')} WHERE id = ? AND status = ?`,
+        [...columns.map(col => updates[col]), sub.id, sub.status],
+        function(err) {
+            if (err) return callback(err);
+            if (this.changes === 0) return callback(workflowError(409, 'This submission was changed by someone else. Please refresh and try again.'));
+            db.run(
+                'INSERT INTO status_history (submission_id, transition, from_status, to_status, actor, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+                [sub.id, name, sub.status, transition.to, actor, now],
+                (historyErr) => {
+                    if (historyErr) console.error(`[Workflow] Failed to record ${name} for submission #${sub.id}:`, historyErr.message);
+                }
+            );
+            if (WEBHOOK_STATUS_EVENTS[transition.to]) queueWebhookEvent(WEBHOOK_STATUS_EVENTS[transition.to], sub.id);
+            callback(null, transition.to);
         }
-    });
-});
+    );
+}
 
-app.post('/api/submission/status', requireLogin, (req, res) => {
-    const { filename, status } = req.body;
-    const approved_by = status === 'Approved' ? req.session.userEmail : null;
 
+// --- Audit Trail ---
+// Records who did what. `before` and `after` are stored as JSON so they can hold several fields.
+// Pass `req` as null for actions the server takes by itself, such as the retention job.
+function recordAudit(req, action, { submissionId = null, target = null, before = null, after = null, actor = null, ip = req ? req.ip : null } = {}) {
+    const who = actor
+        || (req && req.session && req.session.userEmail)
+        || (req && req.publisher && req.publisher.email)
+        || (req ? 'anonymous' : 'system');
     db.run(
-        'UPDATE submissions SET status = ?, approved_by = ? WHERE filename = ?', 
-        [status, approved_by, filename], 
-        function(err) {
-            if (err) return res.status(500).json({ message: 'Failed to update status.' });
-            console.log(`[Action] Status for ${filename} updated to ${status} by user: ${req.session.userEmail}`);
-            broadcastUpdate();
-            res.status(200).json({ message: 'Status updated successfully.' });
+        'INSERT INTO audit_log (created_at, actor, action, submission_id, target, before_value, after_value, ip) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [new Date().toISOString(), who, action, submissionId, target,
+            before === null ? null : JSON.stringify(before), after === null ? null : JSON.stringify(after), ip],
+        (err) => {
+            if (err) console.error(`[Audit] Failed to record ${action}:`, err.message);
         }
     );
-});
+}
 
-app.post('/api/submission/delete', requireLogin, (req, res) => {
-    const { filename } = req.body;
-    const filePath = path.join(uploadDir, filename);
 
-    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+// --- Webhooks ---
+// Partner systems can subscribe to submission events. An event is written to webhook_deliveries, one row per
+// subscribed endpoint, before anything is sent, so deliveries survive a restart and failures are retried with
+// exponential backoff. Every request is signed with the endpoint's secret so receivers can check where it came from:
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw request body>">
+// Receivers should also reject old timestamps, and use X-Webhook-Id to ignore an event they have already seen.
+const WEBHOOK_EVENTS = ['submission.created', 'submission.approved', 'submission.binned', 'submission.downloaded', 'submission.published', 'submission.withdrawn'];
+// The status changes that raise an event. Sending a note back to review raises nothing.
+const WEBHOOK_STATUS_EVENTS = {
+    Approved: 'submission.approved',
+    Binned: 'submission.binned',
+    Downloaded: 'submission.downloaded',
+    Published: 'submission.published',
+    Withdrawn: 'submission.withdrawn'
+};
+
+// What partners are told about a note. Nothing that identifies the contributor is sent (names and postcodes, including
+// the filename built from them), nor receipt codes, audio links or staff details. A withdrawn note is identified by
+// its ID alone so partners can delete their copy.
+function webhookSubmission(sub) {
+    if (sub.status === 'Withdrawn') return { id: sub.id, status: sub.status };
+    return {
+        id: sub.id,
+        status: sub.status,
+        campaign: sub.campaign_slug,
+        campaign_name: sub.campaign_name,
+        prompt: sub.prompt_text,
+        submitted_at: sub.submitted_at,
+        duration_seconds: sub.duration_seconds,
+        status_changed_at: sub.status_changed_at
+    };
+}
 
-    db.run('DELETE FROM submissions WHERE filename = ?', [filename], function(err) {
-        if (err) {
-            console.error("DB Delete Error:", err.message);
-            return res.status(500).json({ message: 'Failed to delete submission record.' });
+async function queueWebhookEvent(type, submissionId) {
+    try {
+        const hooks = (await dbAll('SELECT id, events FROM webhooks WHERE active = 1')).filter(hook => JSON.parse(hook.events).includes(type));
+        if (hooks.length === 0) return;
+        const sub = await dbGet(`SELECT ${SUBMISSION_LIST_COLUMNS}, (SELECT slug FROM campaigns WHERE id = submissions.campaign_id) AS campaign_slug
+            FROM submissions WHERE id = ?`, [submissionId]);
+        if (!sub) return;
+        const now = new Date().toISOString();
+        const eventId = crypto.randomUUID();
+        const payload = JSON.stringify({ id: eventId, type, created_at: now, data: { submission: webhookSubmission(sub) } });
+        for (const hook of hooks) {
+            await dbRun(`INSERT INTO webhook_deliveries (webhook_id, submission_id, event_id, event_type, payload, next_attempt_at, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [hook.id, submissionId, eventId, type, payload, now, now]);
+        }
+        processWebhookDeliveries();
+    } catch (err) {
+        console.error(`[Webhooks] Failed to queue ${type} for submission #${submissionId}:`, err.message);
+    }
+}
+
+const signWebhookPayload = (secret, timestamp, payload) => crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+
+// Addresses webhooks are never sent to: this machine, private networks, link-local (which includes cloud metadata
+// services), shared and reserved ranges. IPv4 addresses mapped into IPv6 are checked against the IPv4 rules.
+const blockedWebhookAddresses = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24],
+    ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]
+    .forEach(([address, prefix]) => blockedWebhookAddresses.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([address, prefix]) => blockedWebhookAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedWebhookAddress = (address) => !WEBHOOK_ALLOW_PRIVATE_TARGETS && blockedWebhookAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Resolves an endpoint's host and throws if it is, or resolves to, a blocked address.
+async function checkWebhookTarget(url) {
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+    if (addresses.some(({ address }) => isBlockedWebhookAddress(address))) {
+        throw workflowError(400, `${url.hostname} is a private or local address. Webhooks can only be sent to public endpoints.`);
+    }
+}
+
+// Used as the connection's DNS lookup, so the address actually connected to is checked too. Without it a host
+// could resolve to a public address when checked and a private one when delivered to.
+function webhookLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        if (addresses.some(({ address }) => isBlockedWebhookAddress(address))) {
+            return callback(new Error(`${hostname} resolves to a private or local address.`));
         }
-        console.log(`[Action] Permanently deleted ${filename} by user: ${req.session.userEmail}`);
-        broadcastUpdate();
-        res.status(200).json({ message: 'Submission permanently deleted.' });
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
     });
-});
+}
 
-app.post('/api/submissions/assign-bulk', requireLogin, (req, res) => {
-    const { filenames, assigneeEmail } = req.body;
-    if (!filenames || !Array.isArray(filenames) || filenames.length === 0 || !assigneeEmail) {
-        return res.status(400).json({ message: 'Filenames and assignee are required.' });
+// Posts a delivery and resolves with the response status and the first 1000 characters of its body. Redirects
+// are not followed.
+function postWebhook(url, headers, body) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const request = (target.protocol === 'https:' ? https : http).request(target, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: webhookLookup,
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        }, (response) => {
+            let text = '';
+            response.setEncoding('utf8');
+            response.on('data', (chunk) => {
+                if (text.length < 1000) text += chunk;
+            });
+            response.on('end', () => resolve({ status: response.statusCode, body: text.slice(0, 1000) }));
+            response.on('error', reject);
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+async function attemptWebhookDelivery(delivery) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempts = delivery.attempts + 1;
+    const now = new Date();
+    let responseStatus = null;
+    let responseBody = null;
+    let error = null;
+    try {
+        // Endpoints saved before these rules existed are held to them too.
+        const url = new URL(delivery.url);
+        if (url.protocol !== 'https:' && !WEBHOOK_ALLOW_PRIVATE_TARGETS) throw new Error('Webhook addresses must start with https://.');
+        if (net.isIP(url.hostname.replace(/^\[|\]$/g, ''))) await checkWebhookTarget(url);
+        const response = await postWebhook(delivery.url, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'Voicenote-Webhooks/1.0',
+            'X-Webhook-Id': delivery.event_id,
+            'X-Webhook-Event': delivery.event_type,
+            'X-Webhook-Delivery': String(delivery.id),
+            'X-Webhook-Signature': `t=${timestamp},v1=${signWebhookPayload(delivery.secret, timestamp, delivery.payload)}`
+        }, delivery.payload);
+        responseStatus = response.status;
+        responseBody = response.body;
+        if (responseStatus < 200 || responseStatus >= 300) error = `The endpoint responded with ${responseStatus}.`;
+    } catch (err) {
+        error = err.name === 'AbortError' ? `No response within ${WEBHOOK_TIMEOUT_MS / 1000} seconds.` : err.message;
     }
-    const placeholders = filenames.map(() => '?').join(',');
-    const query = `UPDATE submissions SET assignee_email = ? WHERE filename IN (${placeholders})`;
-    const params = [assigneeEmail, ...filenames];
-    db.run(query, params, function(err) {
-        if (err) {
-            console.error("Bulk assign error:", err.message);
-            return res.status(500).json({ message: 'Failed to assign submissions.' });
+
+    let status = 'pending';
+    let nextAttemptAt = null;
+    if (!error) status = 'succeeded';
+    else if (attempts >= WEBHOOK_MAX_ATTEMPTS) status = 'failed';
+    else nextAttemptAt = new Date(now.getTime() + WEBHOOK_RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1)).toISOString();
+    if (error) console.log(`[Webhooks] Delivery #${delivery.id} to ${delivery.url} failed (attempt ${attempts}): ${error}`);
+
+    await dbRun(`UPDATE webhook_deliveries SET status = ?, attempts = ?, last_attempt_at = ?, next_attempt_at = ?, response_status = ?, response_body = ?, error = ?,
+        delivered_at = ? WHERE id = ?`,
+        [status, attempts, now.toISOString(), nextAttemptAt, responseStatus, responseBody, error, status === 'succeeded' ? now.toISOString() : null, delivery.id]);
+}
+
+// Sends whatever is due, one delivery at a time. Deliveries to paused endpoints wait until they are switched back on.
+// A call while a run is under way asks that run to look again when it finishes.
+let webhookRun = null;
+let webhookRunAgain = false;
+
+function processWebhookDeliveries() {
+    if (webhookRun) {
+        webhookRunAgain = true;
+        return webhookRun;
+    }
+    webhookRun = (async () => {
+        try {
+            let due;
+            do {
+                webhookRunAgain = false;
+                due = await dbAll(`SELECT webhook_deliveries.*, webhooks.url, webhooks.secret FROM webhook_deliveries
+                    JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id
+                    WHERE webhook_deliveries.status = 'pending' AND webhooks.active = 1 AND webhook_deliveries.next_attempt_at <= ?
+                    ORDER BY webhook_deliveries.next_attempt_at LIMIT 20`, [new Date().toISOString()]);
+                for (const delivery of due) await attemptWebhookDelivery(delivery);
+            } while (webhookRunAgain || due.length === 20);
+        } catch (err) {
+            console.error('[Webhooks] Failed to send deliveries:', err.message);
+        } finally {
+            webhookRun = null;
         }
-        console.log(`[Action] ${filenames.length} files assigned to ${assigneeEmail} by ${req.session.userEmail}`);
-        broadcastUpdate();
-        res.status(200).json({ message: 'Submissions assigned successfully.' });
+    })();
+    return webhookRun;
+}
+
+function startWebhookDeliveries() {
+    processWebhookDeliveries();
+    setInterval(processWebhookDeliveries, WEBHOOK_POLL_INTERVAL_MS);
+}
+
+function cleanUpWebhookDeliveries(runAt) {
+    const cutoff = new Date(new Date(runAt).getTime() - WEBHOOK_LOG_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    db.run(`DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at <= ?`, [cutoff], function(err) {
+        if (err) return console.error('[Webhooks] Failed to clear old deliveries:', err.message);
+        if (this.changes > 0) console.log(`[Webhooks] Cleared ${this.changes} old delivery log entr${this.changes === 1 ? 'y' : 'ies'}.`);
     });
-});
+}
 
-app.post('/api/download-approved', requireLogin, (req, res) => {
-    const filenames = JSON.parse(req.body.filenames);
-    if (!filenames || filenames.length === 0) return res.status(400).json({ message: 'No filenames provided.' });
-    res.attachment('approved-voicenotes.zip');
-    const archive = archiver('zip');
-    archive.pipe(res);
-    filenames.forEach(filename => {
-        const filePath = path.join(uploadDir, filename);
-        if (fs.existsSync(filePath)) archive.file(filePath, { name: filename });
+// Erased notes keep their history, but the filename (first name and postcode) and any IP address are removed from it.
+function scrubAuditTarget(submissionId) {
+    db.run('UPDATE audit_log SET target = NULL, ip = NULL WHERE submission_id = ?', [submissionId], (err) => {
+        if (err) console.error(`[Audit] Failed to scrub history for submission #${submissionId}:`, err.message);
     });
-    archive.finalize();
+}
 
-    res.on('finish', () => {
-        const userEmail = req.session.userEmail;
-        const placeholders = filenames.map(() => '?').join(',');
-        const query = `UPDATE submissions SET status = 'Downloaded', sent_at = ? WHERE filename IN (${placeholders})`;
-        const params = [new Date().toISOString(), ...filenames];
-        
-        db.run(query, params, function(err) {
-            if (err) {
-                console.error("Bulk download status update error:", err.message);
-                return;
+
+// --- Reviewer Notes and Tags ---
+// Notes can quote what was said in a recording, so they are deleted along with it.
+function deleteReviewerNotes(submissionId) {
+    db.run('DELETE FROM submission_notes WHERE submission_id = ?', [submissionId], (err) => {
+        if (err) console.error(`[Notes] Failed to delete notes for submission #${submissionId}:`, err.message);
+    });
+}
+
+function addReviewerNote(submissionId, author, body, callback) {
+    db.run('INSERT INTO submission_notes (submission_id, author, body, created_at) VALUES (?, ?, ?, ?)',
+        [submissionId, author, body, new Date().toISOString()], callback);
+}
+
+// Tags are stored comma-separated like quality_flags: plain words only, lower-cased and de-duplicated.
+function normaliseTags(tags) {
+    if (!Array.isArray(tags)) return null;
+    const cleaned = tags
+        .map(tag => String(tag).replace(/[^\p{L}\p{N}' -]/gu, ' ').trim().replace(/\s+/g, ' ').toLowerCase())
+        .filter(tag => tag.length > 0 && tag.length <= MAX_TAG_LENGTH);
+    return [...new Set(cleaned)].slice(0, MAX_TAGS);
+}
+
+
+// --- Audio Processing ---
+function transcodeAudio(inputPath, outputPath, { filters = [], mono = false, tags = null } = {}) {
+    return new Promise((resolve, reject) => {
+        const command = ffmpeg(inputPath)
+            .toFormat('mp3')
+            .audioBitrate(AUDIO_CONFIG.bitrate)
+            .audioFrequency(44100);
+        if (filters.length > 0) command.audioFilters(filters);
+        if (mono) command.audioChannels(1);
+
+        if (tags) {
+            const outputOptions = ['-id3v2_version', '3'];
+            Object.entries(tags.metadata).forEach(([key, value]) => outputOptions.push('-metadata', `${key}=${value}`));
+            if (tags.artworkPath) {
+                command.input(tags.artworkPath);
+                outputOptions.push('-map', '0:a', '-map', '1:v', '-c:v', 'copy',
+                    '-metadata:s:v', 'title=Album cover', '-metadata:s:v', 'comment=Cover (front)');
             }
-            broadcastUpdate();
-            console.log(`[Action] ${filenames.length} files marked as Downloaded by user: ${userEmail}`);
-        });
+            // Passed as separate arguments so fluent-ffmpeg does not split values containing spaces.
+            command.outputOptions(...outputOptions);
+        }
+
+        command
+            .on('end', () => resolve())
+            .on('error', (err) => reject(err))
+            .save(outputPath);
     });
-});
+}
+
+// Runs the file through analysis filters and hands back what they print to stderr ('' on failure).
+function runAnalysisFilters(filePath, filters) {
+    return new Promise((resolve) => {
+        ffmpeg(filePath)
+            .audioFilters(filters)
+            .format('null')
+            .on('end', (stdout, stderr) => resolve(String(stderr)))
+            .on('error', () => resolve(''))
+            .save('-');
+    });
+}
 
+function probeDuration(filePath) {
+    return new Promise((resolve) => {
+        ffmpeg.ffprobe(filePath, (err, metadata) => resolve(err ? null : metadata.format.duration));
+    });
+}
 
-// PUBLIC UPLOAD PAGE API
-app.get('/suggest-topic', async (req, res) => {
-    const apiKey = process.env.GEMINI_API_KEY;
-    if (!apiKey) return res.status(500).json({ message: 'Server configuration error.' });
-    const prompt = "Please suggest a short, interesting, and open-ended topic for a one-minute voice message...";
+// Integrated loudness comes from the ebur128 summary that ffmpeg prints to stderr.
+function measureAudio(filePath) {
+    const loudness = runAnalysisFilters(filePath, 'ebur128').then((stderr) => {
+        const matches = [...stderr.matchAll(/I:\s+(-?[\d.]+) LUFS/g)];
+        return matches.length > 0 ? parseFloat(matches[matches.length - 1][1]) : null;
+    });
+    return Promise.all([probeDuration(filePath), loudness]).then(([durationSeconds, loudnessLufs]) => ({ durationSeconds, loudnessLufs }));
+}
+
+// Adds up silencedetect output, counting a silence that runs to the end of the file.
+function totalSilence(stderr, duration) {
+    let total = 0;
+    let openStart = null;
+    stderr.split('\n').forEach(line => {
+        const start = line.match(/silence_start: (-?[\d.]+)/);
+        const end = line.match(/silence_duration: ([\d.]+)/);
+        if (start) openStart = Math.max(0, parseFloat(start[1]));
+        if (end) {
+            total += parseFloat(end[1]);
+            openStart = null;
+        }
+    });
+    if (openStart !== null && duration) total += Math.max(0, duration - openStart);
+    return total;
+}
+
+// Silence, peak and clipping are measured on the unprocessed audio, since normalisation and
+// trimming would hide exactly the problems reviewers need to know about. Speech presence is
+// estimated as the share of time with energy in the 300-3400 Hz voice band.
+async function analyseQuality(originalPath, processedDurationSeconds) {
+    const duration = await probeDuration(originalPath);
+    const floor = QUALITY_THRESHOLDS.silenceNoiseFloor;
+    const [levelsStderr, speechStderr] = await Promise.all([
+        runAnalysisFilters(originalPath, ['volumedetect', `silencedetect=n=${floor}:d=0.5`]),
+        runAnalysisFilters(originalPath, ['highpass=f=300', 'lowpass=f=3400', `silencedetect=n=${floor}:d=0.3`])
+    ]);
+
+    const peak = levelsStderr.match(/max_volume: (-?[\d.]+) dB/);
+    const clipped = levelsStderr.match(/histogram_0db: (\d+)/);
+    const metrics = {
+        silenceRatio: duration ? Math.min(1, totalSilence(levelsStderr, duration) / duration) : null,
+        peakDb: peak ? parseFloat(peak[1]) : null,
+        clippedSamples: clipped ? parseInt(clipped[1], 10) : 0,
+        speechRatio: duration ? Math.max(0, 1 - totalSilence(speechStderr, duration) / duration) : null
+    };
+
+    const flags = [];
+    if (!processedDurationSeconds || processedDurationSeconds < QUALITY_THRESHOLDS.minDurationSeconds) flags.push('too_short');
+    if (metrics.silenceRatio !== null && metrics.silenceRatio > QUALITY_THRESHOLDS.maxSilenceRatio) flags.push('mostly_silent');
+    if (metrics.clippedSamples > QUALITY_THRESHOLDS.maxClippedSamples) flags.push('clipped');
+    if (metrics.speechRatio !== null && metrics.speechRatio < QUALITY_THRESHOLDS.minSpeechRatio) flags.push('no_speech');
+    return { ...metrics, flags };
+}
+
+function buildProcessingChain() {
+    const filters = [];
+    const steps = [];
+    if (AUDIO_CONFIG.trimSilence) {
+        // silenceremove only trims the start, so reverse, trim again and reverse back for the tail.
+        const trim = `silenceremove=start_periods=1:start_threshold=${AUDIO_CONFIG.silenceThreshold}`;
+        filters.push(trim, 'areverse', trim, 'areverse');
+        steps.push('trim');
+    }
+    if (AUDIO_CONFIG.normaliseLoudness) {
+        filters.push(`loudnorm=I=${AUDIO_CONFIG.targetLoudness}:TP=${AUDIO_CONFIG.truePeak}:LRA=11`);
+        steps.push('loudnorm');
+    }
+    if (AUDIO_CONFIG.mono) steps.push('mono');
+    return { filters, steps };
+}
+
+// The file may end up in the public feed, so the title doesn't use the contributor's name or postcode.
+function buildTags() {
+    const artworkPath = path.join(__dirname, 'images', FEED_CONFIG.artwork);
+    return {
+        metadata: {
+            title: `Voice note, ${new Date().toISOString().slice(0, 10)}`,
+            artist: FEED_CONFIG.author,
+            album: AUDIO_CONFIG.tagCampaign,
+            date: new Date().toISOString().slice(0, 10)
+        },
+        artworkPath: AUDIO_CONFIG.tagArtwork && fs.existsSync(artworkPath) ? artworkPath : null
+    };
+}
+
+// Writes a plain transcode to originalPath and the processed version to outputPath. If the
+// processing chain fails, or trims away everything because the whole recording is below the
+// silence threshold, the plain transcode is used instead so the contributor's note is never lost.
+async function processUploadedAudio(tempPath, finalFilename, originalPath, outputPath) {
+    await transcodeAudio(tempPath, originalPath);
+
+    const { filters, steps } = buildProcessingChain();
     try {
-        const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ contents: [{ role: "user", parts: [{ text: prompt }] }] })
-        });
-        if (!response.ok) throw new Error('API request failed');
-        const result = await response.json();
-        res.json({ suggestion: result.candidates[0].content.parts[0].text });
-    } catch (error) {
-        res.status(500).json({ message: 'Failed to fetch suggestion.' });
+        await transcodeAudio(tempPath, outputPath, { filters, mono: AUDIO_CONFIG.mono, tags: buildTags() });
+        const measured = await measureAudio(outputPath);
+        if (measured.durationSeconds > 0.5) return { ...measured, chain: [...steps, 'id3'].join(',') };
+        console.error(`[Audio] Processing left no audio in ${finalFilename}, keeping the unprocessed audio.`);
+    } catch (err) {
+        console.error(`[Audio] Processing failed for ${finalFilename}, keeping the unprocessed audio:`, err.message);
     }
-});
 
-app.post('/upload', (req, res) => {
-    upload(req, res, function (err) {
-        if (err || !req.file) {
-            console.error("Upload Error:", err);
-            return res.status(400).json({ message: "Upload failed." });
-        }
-        
-        const sanitize = (str) => str.replace(/[^a-zA-Z0-9-]/g, '_');
-        const baseFilename = `${sanitize(req.body.firstName || 'user')}-${sanitize(req.body.postcode || 'local')}`;
-        let finalFilename = `${baseFilename}.mp3`;
-        let outputPath = path.join(uploadDir, finalFilename);
-        let counter = 1;
+    fs.copyFileSync(originalPath, outputPath);
+    const measured = await measureAudio(outputPath);
+    return { ...measured, chain: 'original' };
+}
 
-        while (fs.existsSync(outputPath)) {
-            finalFilename = `${baseFilename}-${counter}.mp3`;
-            outputPath = path.join(uploadDir, finalFilename);
-            counter++;
-        }
-        
-        ffmpeg(req.file.path)
-            .toFormat('mp3')
-            .audioBitrate('192k')
-            .on('end', () => {
-                fs.unlink(req.file.path, () => {});
-                db.run('INSERT INTO submissions (filename, submitted_at) VALUES (?, ?)', 
-                    [finalFilename, new Date().toISOString()], (dbErr) => {
-                        if (dbErr) {
-                            console.error("DB Insert Error:", dbErr);
-                            return res.status(200).json({ message: 'Upload successful (with DB error)!'});
-                        }
-                        broadcastUpdate();
-                        console.log(`New submission saved to DB: ${finalFilename}`);
-                        res.status(200).json({ message: 'Upload successful!'});
-                    });
-            })
-            .on('error', (ffmpegErr) => {
-                fs.unlink(req.file.path, () => {});
-                res.status(500).json({ message: 'File conversion failed.' });
-            })
-            .save(outputPath);
+// Quality analysis is advisory, so a failure here must never lose the upload.
+function analyseUploadedAudio(originalPath, finalFilename, processedDurationSeconds) {
+    return analyseQuality(originalPath, processedDurationSeconds).catch((err) => {
+        console.error(`[Audio] Quality analysis failed for ${finalFilename}:`, err.message);
+        return { silenceRatio: null, peakDb: null, clippedSamples: null, speechRatio: null, flags: [] };
+    });
+}
+
+
+// --- Data Retention ---
+function addMonths(date, months) {
+    const result = new Date(date);
+    result.setUTCMonth(result.getUTCMonth() + months);
+    return result;
+}
+
+// Removes every copy of a submission's audio from storage and resolves to how many files went.
+async function removeAudioFiles(audioKey) {
+    if (!audioKey) return 0;
+    const removed = await Promise.all(AUDIO_FOLDERS.map(folder => audioStorage.remove(storageKey(folder, audioKey))));
+    return removed.filter(Boolean).length;
+}
+
+// Published notes live in sent_to_spotify/, everything else in uploads/. Resolves to { key, size } or null.
+async function findAudio(audioKey) {
+    if (!audioKey) return null;
+    for (const folder of ['uploads', 'sent_to_spotify']) {
+        const key = storageKey(folder, audioKey);
+        const stat = await audioStorage.stat(key);
+        if (stat) return { key, size: stat.size };
+    }
+    return null;
+}
+
+// Streams audio from storage, answering single-range requests so players can seek.
+async function sendAudio(req, res, { key, size }, cacheControl) {
+    res.set({ 'Content-Type': 'audio/mpeg', 'Accept-Ranges': 'bytes', 'Cache-Control': cacheControl });
+    const match = /^bytes=(\d*)-(\d*)$/.exec(req.get('Range') || '');
+    let range = null;
+    if (match && (match[1] || match[2])) {
+        const start = match[1] ? parseInt(match[1], 10) : Math.max(0, size - parseInt(match[2], 10));
+        const end = match[1] && match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+        if (start > end || start >= size) return res.status(416).set('Content-Range', `bytes */${size}`).end();
+        range = { start, end };
+        res.status(206).set('Content-Range', `bytes ${start}-${end}/${size}`);
+    }
+    res.set('Content-Length', String(range ? range.end - range.start + 1 : size));
+    if (req.method === 'HEAD') return res.end();
+
+    const stream = await audioStorage.createReadStream(key, range);
+    stream.on('error', (err) => {
+        console.error(`[Storage] Failed while streaming ${key}:`, err.message);
+        res.destroy(err);
+    });
+    stream.pipe(res);
+}
+
+function logRetention(submissionId, action, filesRemoved, runAt) {
+    db.run('INSERT INTO retention_log (submission_id, action, files_removed, run_at) VALUES (?, ?, ?, ?)',
+        [submissionId, action, filesRemoved, runAt], (err) => {
+            if (err) console.error('[Retention] Failed to write log entry:', err.message);
+        });
+    recordAudit(null, `retention: ${action}`, { submissionId, after: { filesRemoved } });
+    scrubAuditTarget(submissionId);
+    deleteReviewerNotes(submissionId);
+    deleteTranscript(submissionId);
+    console.log(`[Retention] Submission #${submissionId} ${action} (${filesRemoved} file(s) removed).`);
+}
+
+// Withdrawn notes are always erased outright, whatever RETENTION_MODE says.
+function purgeSubmission(sub, runAt, done) {
+    // Delivery logs name the note by ID, which a later note can reuse once this one is deleted, so they go
+    // with it. Pending ones are left to go out.
+    db.run(`DELETE FROM webhook_deliveries WHERE submission_id = ? AND status != 'pending'`, [sub.id]);
+    removeAudioFiles(sub.audio_key)
+        .then(filesRemoved => eraseSubmissionRecord(sub, runAt, filesRemoved, done))
+        .catch((storageErr) => {
+            console.error(`[Retention] Could not remove audio for submission #${sub.id}:`, storageErr.message);
+            done();
+        });
+}
+
+function eraseSubmissionRecord(sub, runAt, filesRemoved, done) {
+    const isWithdrawal = sub.status === 'Withdrawn';
+    if (RETENTION_MODE === 'anonymise' && !isWithdrawal) {
+        db.run(
+            `UPDATE submissions SET filename = ?, status = 'Expired', approved_by = NULL, assignee_email = NULL, content_hash = NULL, first_name = NULL, purged_at = ? WHERE id = ?`,
+            [`expired-${sub.id}`, runAt, sub.id],
+            (err) => {
+                if (err) console.error(`[Retention] Failed to anonymise submission #${sub.id}:`, err.message);
+                else logRetention(sub.id, 'anonymised', filesRemoved, runAt);
+                done();
+            }
+        );
+    } else {
+        db.run('DELETE FROM submissions WHERE id = ?', [sub.id], (err) => {
+            if (err) {
+                console.error(`[Retention] Failed to delete submission #${sub.id}:`, err.message);
+                return done();
+            }
+            if (!isWithdrawal) {
+                logRetention(sub.id, 'deleted', filesRemoved, runAt);
+                return done();
+            }
+            logRetention(sub.id, 'erased on withdrawal', filesRemoved, runAt);
+            db.run('UPDATE withdrawal_requests SET erased_at = ? WHERE submission_id = ? AND erased_at IS NULL', [runAt, sub.id], (logErr) => {
+                if (logErr) console.error(`[Retention] Failed to record erasure of submission #${sub.id}:`, logErr.message);
+                done();
+            });
+        });
+    }
+}
+
+function runRetentionJob() {
+    const runAt = new Date().toISOString();
+    db.all(
+        `SELECT id, filename, status, audio_key FROM submissions WHERE purged_at IS NULL
+            AND (status = 'Withdrawn' OR (retention_expires_at IS NOT NULL AND retention_expires_at <= ?))`,
+        [runAt],
+        (err, rows) => {
+            if (err) return console.error('[Retention] Failed to find expired submissions:', err.message);
+            cleanUpExports(runAt, rows.map(row => row.id));
+            cleanUpUploadSessions(runAt);
+            cleanUpWebhookDeliveries(runAt);
+            if (rows.length === 0) return;
+
+            rows.forEach(sub => purgeSubmission(sub, runAt, () => broadcastSubmission(sub.id, { previousStatus: sub.status })));
+        }
+    );
+}
+
+// Receipt codes are read back over the phone or typed by contributors, so skip look-alike characters.
+const RECEIPT_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+function generateReceiptCode() {
+    const bytes = crypto.randomBytes(8);
+    let code = '';
+    for (let i = 0; i < bytes.length; i++) {
+        code += RECEIPT_ALPHABET[bytes[i] % RECEIPT_ALPHABET.length];
+        if (i === 3) code += '-';
+    }
+    return code;
+}
+
+function startRetentionJob() {
+    runRetentionJob();
+    setInterval(runRetentionJob, RETENTION_CHECK_INTERVAL_MS);
+}
+
+
+// --- Authentication Middleware ---
+// The user is looked up on every request so disabling an account or changing its role takes effect immediately.
+// Sessions note when they were last used, at most every few minutes, for the list of active sessions.
+const SESSION_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+const requireLogin = (req, res, next) => {
+    if (!req.session || !req.session.userId) {
+        return res.status(401).json({ message: 'Unauthorized. Please log in.' });
+    }
+    db.get('SELECT id, email, role, disabled FROM users WHERE id = ?', [req.session.userId], (err, user) => {
+        if (err) return res.status(500).json({ message: 'Failed to check your account.' });
+        if (!user || user.disabled) {
+            return req.session.destroy(() => res.status(401).json({ message: 'Unauthorized. Please log in.' }));
+        }
+        req.user = user;
+        if (!req.session.lastSeenAt || Date.now() - new Date(req.session.lastSeenAt).getTime() > SESSION_SEEN_INTERVAL_MS) {
+            req.session.lastSeenAt = new Date().toISOString();
+            req.session.ip = req.ip;
+        }
+        next();
+    });
+};
+
+const requireRole = (...roles) => (req, res, next) => {
+    requireLogin(req, res, () => {
+        if (!roles.includes(req.user.role)) {
+            return res.status(403).json({ message: 'You do not have permission to do this.' });
+        }
+        next();
+    });
+};
+
+
+// The Spotify extension has no session cookie; it sends a bearer token issued from the dashboard.
+const requirePublisherToken = (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    if (!token) return res.status(401).json({ message: 'Missing publisher token.' });
+
+    jwt.verify(token, JWT_SECRET, (err, payload) => {
+        if (err || payload.scope !== 'publisher') return res.status(401).json({ message: 'Invalid or expired publisher token.' });
+        // Tokens stop working as soon as the admin who issued them is disabled or demoted.
+        db.get('SELECT role, disabled FROM users WHERE id = ?', [payload.userId], (userErr, user) => {
+            if (userErr || !user || user.disabled || user.role !== 'admin') return res.status(401).json({ message: 'Invalid or expired publisher token.' });
+            req.publisher = payload;
+            next();
+        });
+    });
+};
+
+
+// --- Page Serving Routes ---
+app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+app.get('/c/:slug', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+app.get('/staff', (req, res) => res.sendFile(path.join(__dirname, 'staff.html')));
+app.get('/withdraw', (req, res) => res.sendFile(path.join(__dirname, 'withdraw.html')));
+app.get('/admin', (req, res) => res.sendFile(path.join(__dirname, 'admin.html')));
+app.get('/analytics', (req, res) => res.sendFile(path.join(__dirname, 'analytics.html')));
+app.get('/campaigns', (req, res) => res.sendFile(path.join(__dirname, 'campaigns.html')));
+app.get('/account', (req, res) => res.sendFile(path.join(__dirname, 'account.html')));
+app.get('/webhooks', (req, res) => res.sendFile(path.join(__dirname, 'webhooks.html')));
+
+
+// --- API Routes ---
+
+// USER AUTHENTICATION
+const allowLoginFromIp = createRateLimiter(LOGIN_RATE_WINDOW_MS, LOGIN_RATE_MAX_PER_IP);
+// Reset tokens and recovery codes are stored as hashes, like passwords, so a copy of the database can't use them.
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Returns what is wrong with a new password, or null if it will do.
+function passwordProblem(password, email) {
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+        return `Passwords must be at least ${PASSWORD_MIN_LENGTH} characters long.`;
+    }
+    // bcrypt ignores everything after the first 72 bytes.
+    if (Buffer.byteLength(password) > 72) return 'Passwords must be at most 72 bytes long.';
+    if (new Set(password.toLowerCase()).size < 5) return 'Passwords must use more than a handful of different characters.';
+    const name = String(email || '').split('@')[0].toLowerCase();
+    if (name.length >= 3 && password.toLowerCase().includes(name)) return 'Passwords must not contain your email address.';
+    return null;
+}
+
+async function setPassword(userId, password) {
+    const hashedPassword = await bcrypt.hash(password, 10);
+    await dbRun('UPDATE users SET password = ?, password_changed_at = ?, failed_logins = 0, locked_until = NULL WHERE id = ?',
+        [hashedPassword, new Date().toISOString(), userId]);
+}
+
+// Registration needs an admin-issued invite. The only exception is the very first account on a
+// fresh deployment, which becomes the admin.
+// Emails are shown across the dashboard and used to sign in, so only plain addresses are accepted.
+const EMAIL_PATTERN = /^[^\s@<>"']+@[^\s@<>"']+\.[^\s@<>"']+$/;
+
+app.post('/api/register', (req, res) => {
+    const { email, password, inviteToken } = req.body;
+    if (!email || !password) return res.status(400).json({ message: 'Email and password are required.' });
+    if (typeof email !== 'string' || email.length > 254 || !EMAIL_PATTERN.test(email)) {
+        return res.status(400).json({ message: 'Please enter a valid email address.' });
+    }
+    const problem = passwordProblem(password, email);
+    if (problem) return res.status(400).json({ message: problem });
+
+    db.get('SELECT COUNT(*) AS count FROM users', [], (countErr, row) => {
+        if (countErr) return res.status(500).json({ message: 'Registration failed.' });
+        if (row.count === 0) return createUser(req, res, email, password, 'admin', null);
+        if (!inviteToken) return res.status(403).json({ message: 'Registration is by invitation only.' });
+
+        db.get('SELECT * FROM invites WHERE token = ?', [inviteToken], (inviteErr, invite) => {
+            if (inviteErr) return res.status(500).json({ message: 'Registration failed.' });
+            if (!invite || invite.used_at || invite.revoked_at || invite.expires_at < new Date().toISOString()) {
+                return res.status(403).json({ message: 'This invite link is invalid or has expired.' });
+            }
+            if (invite.email && invite.email.toLowerCase() !== email.toLowerCase()) {
+                return res.status(403).json({ message: 'This invite was issued for a different email address.' });
+            }
+            // Claimed before the account is created, so two sign-ups racing for one invite can't both succeed.
+            db.run('UPDATE invites SET used_at = ?, used_by = ? WHERE id = ? AND used_at IS NULL AND revoked_at IS NULL',
+                [new Date().toISOString(), email, invite.id], function(claimErr) {
+                    if (claimErr) return res.status(500).json({ message: 'Registration failed.' });
+                    if (this.changes === 0) return res.status(403).json({ message: 'This invite link is invalid or has expired.' });
+                    createUser(req, res, email, password, invite.role, invite);
+                });
+        });
+    });
+});
+
+// A claimed invite is handed back if the account can't be created, so it can still be used.
+async function createUser(req, res, email, password, role, invite) {
+    const releaseInvite = () => invite && db.run('UPDATE invites SET used_at = NULL, used_by = NULL WHERE id = ?', [invite.id]);
+    let hashedPassword;
+    try {
+        hashedPassword = await bcrypt.hash(password, 10);
+    } catch (hashErr) {
+        releaseInvite();
+        return res.status(500).json({ message: 'Registration failed.' });
+    }
+    db.run('INSERT INTO users (email, password, role, password_changed_at) VALUES (?, ?, ?, ?)', [email, hashedPassword, role, new Date().toISOString()], function(err) {
+        if (err) {
+            releaseInvite();
+            return res.status(400).json({ message: 'This email is already registered.' });
+        }
+        recordAudit(req, 'registered', { actor: email, after: { role } });
+        console.log(`[Register] ${email} registered as ${role}${invite ? ` using an invite from ${invite.created_by}` : ''}`);
+        res.status(201).json({ message: 'User registered successfully.' });
+    });
+}
+
+const lockedMessage = (lockedUntil) => {
+    const minutes = Math.max(1, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 60000));
+    return `Too many failed sign-in attempts. This account is locked for ${minutes} more minute${minutes === 1 ? '' : 's'}, or you can reset your password.`;
+};
+
+// A wrong password or code counts against the account, which is locked once there have been too many in a row.
+async function loginFailed(req, res, user, message, extra = {}) {
+    recordAudit(req, 'login_failed', { actor: user.email });
+    await dbRun('UPDATE users SET failed_logins = COALESCE(failed_logins, 0) + 1 WHERE id = ?', [user.id]);
+    const lockedUntil = new Date(Date.now() + LOGIN_LOCKOUT_MINUTES * 60 * 1000).toISOString();
+    const { changes } = await dbRun('UPDATE users SET failed_logins = 0, locked_until = ? WHERE id = ? AND failed_logins >= ?', [lockedUntil, user.id, LOGIN_MAX_ATTEMPTS]);
+    if (changes === 0) return res.status(401).json({ message, ...extra });
+    console.log(`[Auth] ${user.email} locked until ${lockedUntil} after ${LOGIN_MAX_ATTEMPTS} failed sign-ins`);
+    recordAudit(req, 'account_locked', { actor: user.email, after: { locked_until: lockedUntil } });
+    res.status(429).json({ message: lockedMessage(lockedUntil) });
+}
+
+// The second step for accounts with two-factor sign-in: a code from the authenticator app or an unused
+// recovery code. Resolves which one it was, or null. The updates are conditional so a code works only once.
+async function useSecondFactor(user, code) {
+    const lastCounter = user.totp_last_counter === null ? -1 : user.totp_last_counter;
+    const counter = totp.verifyCode(user.totp_secret, code, { after: lastCounter });
+    if (counter !== null) {
+        const { changes } = await dbRun('UPDATE users SET totp_last_counter = ? WHERE id = ? AND COALESCE(totp_last_counter, -1) < ?', [counter, user.id, counter]);
+        return changes > 0 ? 'totp' : null;
+    }
+    const recoveryHashes = JSON.parse(user.totp_recovery_codes || '[]');
+    const hash = hashToken(String(code || '').toLowerCase().replace(/[\s-]/g, ''));
+    if (!recoveryHashes.includes(hash)) return null;
+    const { changes } = await dbRun('UPDATE users SET totp_recovery_codes = ? WHERE id = ? AND totp_recovery_codes = ?',
+        [JSON.stringify(recoveryHashes.filter(existing => existing !== hash)), user.id, user.totp_recovery_codes]);
+    return changes > 0 ? 'recovery' : null;
+}
+
+app.post('/api/login', async (req, res) => {
+    const { email, password, code } = req.body;
+    if (!allowLoginFromIp(req.ip)) {
+        return res.status(429).json({ message: 'Too many sign-in attempts. Please wait a few minutes and try again.' });
+    }
+    try {
+        const user = await dbGet('SELECT * FROM users WHERE email = ?', [email]);
+        if (!user) {
+            recordAudit(req, 'login_failed', { actor: String(email || '') });
+            return res.status(401).json({ message: 'Invalid credentials.' });
+        }
+        // Checked before the password, so a locked account can't still be guessed at.
+        if (user.locked_until && user.locked_until > new Date().toISOString()) {
+            recordAudit(req, 'login_refused_locked', { actor: user.email });
+            return res.status(429).json({ message: lockedMessage(user.locked_until) });
+        }
+
+        const match = await bcrypt.compare(String(password || ''), user.password);
+        if (!match) return loginFailed(req, res, user, 'Invalid credentials.');
+        if (user.disabled) {
+            recordAudit(req, 'login_refused_disabled', { actor: user.email });
+            return res.status(403).json({ message: 'This account has been disabled. Please contact an administrator.' });
+        }
+        if (user.totp_secret) {
+            if (!code) return res.status(401).json({ message: 'Enter the 6-digit code from your authenticator app.', twoFactorRequired: true });
+            const used = await useSecondFactor(user, code);
+            if (!used) return loginFailed(req, res, user, 'That code is not right. Please try again.', { twoFactorRequired: true });
+            if (used === 'recovery') recordAudit(req, 'recovery_code_used', { actor: user.email });
+        }
+        await dbRun('UPDATE users SET failed_logins = 0, locked_until = NULL WHERE id = ?', [user.id]);
+
+        req.session.regenerate((regenErr) => {
+            if (regenErr) return res.status(500).json({ message: "Error starting session." });
+
+            req.session.userId = user.id;
+            req.session.userEmail = user.email;
+            // Shown in the list of active sessions.
+            req.session.createdAt = new Date().toISOString();
+            req.session.lastSeenAt = req.session.createdAt;
+            req.session.ip = req.ip;
+            req.session.userAgent = req.get('user-agent') || '';
+
+            req.session.save((saveErr) => {
+                if (saveErr) return res.status(500).json({ message: "Error saving session." });
+                console.log(`[Login Success] Session regenerated and saved for user: ${req.session.userEmail}`);
+                recordAudit(req, 'login');
+                res.status(200).json({ message: 'Login successful.' });
+            });
+        });
+    } catch (err) {
+        console.error('[Auth] Sign-in failed:', err.message);
+        res.status(500).json({ message: 'Sign-in failed. Please try again.' });
+    }
+});
+
+app.post('/api/logout', (req, res) => {
+    const { userEmail, userId } = req.session;
+    req.session.destroy((err) => {
+        if (err) return res.status(500).json({ message: 'Could not log out.' });
+        res.clearCookie('voicenote_project.sid');
+        if (userId) disconnectUserSockets(userId);
+        console.log(`[Logout Success] Session destroyed for user: ${userEmail}`);
+        if (userEmail) recordAudit(req, 'logout', { actor: userEmail });
+        res.status(200).json({ message: 'Logout successful.' });
+    });
+});
+
+app.get('/api/me', requireLogin, (req, res) => {
+    res.json({ id: req.user.id, email: req.user.email, role: req.user.role });
+});
+
+app.get('/api/users', requireLogin, (req, res) => {
+    db.all('SELECT id, email, role, disabled, locked_until, totp_enabled_at IS NOT NULL AS two_factor FROM users ORDER BY email', [], (err, users) => {
+        if (err) {
+            return res.status(500).json({ message: 'Failed to retrieve users.' });
+        }
+        res.json(users);
+    });
+});
+
+// Stops an admin from locking everyone out by demoting or disabling the last active admin.
+function ensureAnotherAdmin(userId, res, next) {
+    db.get(`SELECT COUNT(*) AS count FROM users WHERE role = 'admin' AND disabled = 0 AND id != ?`, [userId], (err, row) => {
+        if (err) return res.status(500).json({ message: 'Failed to update user.' });
+        if (row.count === 0) return res.status(409).json({ message: 'There must always be at least one active admin.' });
+        next();
+    });
+}
+
+app.post('/api/users/role', requireRole('admin'), (req, res) => {
+    const { id, role } = req.body;
+    if (!ROLES.includes(role)) return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}.` });
+
+    const update = () => db.run('UPDATE users SET role = ? WHERE id = ?', [role, id], function(err) {
+        if (err) return res.status(500).json({ message: 'Failed to update user.' });
+        if (this.changes === 0) return res.status(404).json({ message: 'User not found.' });
+        console.log(`[Admin] User #${id} role changed to ${role} by ${req.user.email}`);
+        recordAudit(req, 'user_role_changed', { target: `user #${id}`, after: { role } });
+        disconnectUserSockets(id);
+        res.json({ message: 'Role updated.' });
+    });
+    if (role === 'admin') return update();
+    ensureAnotherAdmin(id, res, update);
+});
+
+app.post('/api/users/disable', requireRole('admin'), (req, res) => {
+    const { id, disabled } = req.body;
+
+    const update = () => db.run('UPDATE users SET disabled = ? WHERE id = ?', [disabled ? 1 : 0, id], function(err) {
+        if (err) return res.status(500).json({ message: 'Failed to update user.' });
+        if (this.changes === 0) return res.status(404).json({ message: 'User not found.' });
+        console.log(`[Admin] User #${id} ${disabled ? 'disabled' : 're-enabled'} by ${req.user.email}`);
+        recordAudit(req, disabled ? 'user_disabled' : 'user_enabled', { target: `user #${id}` });
+        if (disabled) disconnectUserSockets(id);
+        res.json({ message: disabled ? 'User disabled.' : 'User re-enabled.' });
+    });
+    if (!disabled) return update();
+    ensureAnotherAdmin(id, res, update);
+});
+
+app.post('/api/users/unlock', requireRole('admin'), (req, res) => {
+    const { id } = req.body;
+    db.run('UPDATE users SET failed_logins = 0, locked_until = NULL WHERE id = ?', [id], function(err) {
+        if (err) return res.status(500).json({ message: 'Failed to update user.' });
+        if (this.changes === 0) return res.status(404).json({ message: 'User not found.' });
+        console.log(`[Admin] User #${id} unlocked by ${req.user.email}`);
+        recordAudit(req, 'user_unlocked', { target: `user #${id}` });
+        res.json({ message: 'Account unlocked.' });
+    });
+});
+
+// For staff who have lost their authenticator app and recovery codes. They can set it up again after signing in.
+app.post('/api/users/reset-2fa', requireRole('admin'), (req, res) => {
+    const { id } = req.body;
+    db.run('UPDATE users SET totp_secret = NULL, totp_last_counter = NULL, totp_recovery_codes = NULL, totp_enabled_at = NULL WHERE id = ?', [id], function(err) {
+        if (err) return res.status(500).json({ message: 'Failed to update user.' });
+        if (this.changes === 0) return res.status(404).json({ message: 'User not found.' });
+        console.log(`[Admin] Two-factor sign-in for user #${id} reset by ${req.user.email}`);
+        recordAudit(req, 'user_totp_reset', { target: `user #${id}` });
+        res.json({ message: 'Two-factor sign-in turned off for this account.' });
+    });
+});
+
+app.get('/api/invites', requireRole('admin'), (req, res) => {
+    db.all('SELECT * FROM invites ORDER BY created_at DESC', [], (err, invites) => {
+        if (err) return res.status(500).json({ message: 'Failed to retrieve invites.' });
+        res.json(invites);
+    });
+});
+
+app.post('/api/invites', requireRole('admin'), (req, res) => {
+    const { email, role } = req.body;
+    if (!ROLES.includes(role)) return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}.` });
+    if (email && (typeof email !== 'string' || !EMAIL_PATTERN.test(email))) return res.status(400).json({ message: 'Please enter a valid email address.' });
+
+    const token = crypto.randomBytes(24).toString('hex');
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    db.run(
+        'INSERT INTO invites (token, email, role, created_by, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?)',
+        [token, email || null, role, req.user.email, now.toISOString(), expiresAt],
+        (err) => {
+            if (err) return res.status(500).json({ message: 'Failed to create invite.' });
+            console.log(`[Admin] ${role} invite${email ? ` for ${email}` : ''} created by ${req.user.email}`);
+            recordAudit(req, 'invite_created', { target: email || null, after: { role, expiresAt } });
+            res.status(201).json({ token, expiresAt });
+        }
+    );
+});
+
+app.post('/api/invites/revoke', requireRole('admin'), (req, res) => {
+    const { id } = req.body;
+    db.run('UPDATE invites SET revoked_at = ? WHERE id = ? AND used_at IS NULL', [new Date().toISOString(), id], function(err) {
+        if (err) return res.status(500).json({ message: 'Failed to revoke invite.' });
+        if (this.changes === 0) return res.status(404).json({ message: 'Invite not found or already used.' });
+        recordAudit(req, 'invite_revoked', { target: `invite #${id}` });
+        res.json({ message: 'Invite revoked.' });
+    });
+});
+
+
+// ACCOUNT SECURITY
+// Changing the password or two-factor settings needs the current password, so an unattended session can't do it.
+async function checkCurrentPassword(req, res) {
+    if (!allowLoginFromIp(req.ip)) {
+        res.status(429).json({ message: 'Too many attempts. Please wait a few minutes and try again.' });
+        return null;
+    }
+    const user = await dbGet('SELECT * FROM users WHERE id = ?', [req.user.id]);
+    if (!await bcrypt.compare(String(req.body.currentPassword || ''), user.password)) {
+        res.status(403).json({ message: 'Your current password is not right.' });
+        return null;
+    }
+    return user;
+}
+
+function generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => crypto.randomBytes(5).toString('hex').replace(/^(.{5})/, '$1-'));
+    return { codes, hashes: JSON.stringify(codes.map(code => hashToken(code.replace('-', '')))) };
+}
+
+app.get('/api/account', requireLogin, async (req, res) => {
+    try {
+        const user = await dbGet('SELECT email, role, password_changed_at, totp_enabled_at, totp_recovery_codes FROM users WHERE id = ?', [req.user.id]);
+        res.json({
+            email: user.email,
+            role: user.role,
+            password_changed_at: user.password_changed_at,
+            two_factor_enabled_at: user.totp_enabled_at,
+            recovery_codes_left: JSON.parse(user.totp_recovery_codes || '[]').length,
+            password_min_length: PASSWORD_MIN_LENGTH
+        });
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to retrieve your account.' });
+    }
+});
+
+// Other sessions are signed out, since a password is usually changed because someone else might know it.
+app.post('/api/account/password', requireLogin, async (req, res) => {
+    try {
+        const user = await checkCurrentPassword(req, res);
+        if (!user) return;
+        const problem = passwordProblem(req.body.newPassword, user.email);
+        if (problem) return res.status(400).json({ message: problem });
+        await setPassword(user.id, req.body.newPassword);
+        const signedOut = await revokeSessions(user.id, { except: req.sessionID });
+        recordAudit(req, 'password_changed', { after: { sessions_signed_out: signedOut } });
+        res.json({ message: `Password changed.${signedOut ? ` ${signedOut} other session${signedOut === 1 ? ' was' : 's were'} signed out.` : ''}` });
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to change your password.' });
+    }
+});
+
+// Two-factor setup takes two steps: the new secret waits in the session until a code from the
+// authenticator app proves it was added correctly, and only then is saved to the account.
+app.post('/api/account/totp/setup', requireLogin, async (req, res) => {
+    try {
+        if (!await checkCurrentPassword(req, res)) return;
+        const secret = totp.generateSecret();
+        req.session.pendingTotpSecret = secret;
+        res.json({ secret, otpauthUrl: totp.otpauthUrl({ secret, account: req.user.email, issuer: TOTP_ISSUER }) });
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to start two-factor setup.' });
+    }
+});
+
+app.post('/api/account/totp/enable', requireLogin, async (req, res) => {
+    const secret = req.session.pendingTotpSecret;
+    if (!secret) return res.status(400).json({ message: 'Two-factor setup has expired. Please start again.' });
+    const counter = totp.verifyCode(secret, req.body.code);
+    if (counter === null) return res.status(400).json({ message: 'That code is not right. Check the clock on your phone is correct and try again.' });
+    try {
+        const recovery = generateRecoveryCodes();
+        await dbRun('UPDATE users SET totp_secret = ?, totp_last_counter = ?, totp_recovery_codes = ?, totp_enabled_at = ? WHERE id = ?',
+            [secret, counter, recovery.hashes, new Date().toISOString(), req.user.id]);
+        delete req.session.pendingTotpSecret;
+        console.log(`[Auth] Two-factor sign-in turned on by ${req.user.email}`);
+        recordAudit(req, 'totp_enabled');
+        res.json({ message: 'Two-factor sign-in is on.', recoveryCodes: recovery.codes });
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to turn on two-factor sign-in.' });
+    }
+});
+
+// Replaces every recovery code, used or not.
+app.post('/api/account/totp/recovery-codes', requireLogin, async (req, res) => {
+    try {
+        const user = await checkCurrentPassword(req, res);
+        if (!user) return;
+        if (!user.totp_secret) return res.status(409).json({ message: 'Two-factor sign-in is not on.' });
+        const recovery = generateRecoveryCodes();
+        await dbRun('UPDATE users SET totp_recovery_codes = ? WHERE id = ?', [recovery.hashes, user.id]);
+        recordAudit(req, 'recovery_codes_regenerated');
+        res.json({ message: 'New recovery codes created. The old ones no longer work.', recoveryCodes: recovery.codes });
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to create new recovery codes.' });
+    }
+});
+
+app.post('/api/account/totp/disable', requireLogin, async (req, res) => {
+    try {
+        if (!await checkCurrentPassword(req, res)) return;
+        await dbRun('UPDATE users SET totp_secret = NULL, totp_last_counter = NULL, totp_recovery_codes = NULL, totp_enabled_at = NULL WHERE id = ?', [req.user.id]);
+        console.log(`[Auth] Two-factor sign-in turned off by ${req.user.email}`);
+        recordAudit(req, 'totp_disabled');
+        res.json({ message: 'Two-factor sign-in is off.' });
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to turn off two-factor sign-in.' });
+    }
+});
+
+// SESSIONS
+// Staff can see and sign out their own sessions, and admins anyone's. Sessions are named by a hash of
+// their ID, so the ID itself never leaves the cookie.
+const sessionHandle = (sid) => hashToken(sid).slice(0, 16);
+
+function listUserSessions(userId) {
+    return new Promise((resolve, reject) => {
+        sessionStore.db.all('SELECT sid, expired, sess FROM sessions WHERE expired >= ?', [Date.now()], (err, rows) => {
+            if (err) return reject(err);
+            resolve(rows
+                .map(row => ({ sid: row.sid, expiresAt: new Date(row.expired).toISOString(), data: JSON.parse(row.sess) }))
+                .filter(session => session.data.userId === Number(userId)));
+        });
+    });
+}
+
+// Resolves how many sessions were signed out. `handle` picks out a single session.
+async function revokeSessions(userId, { except = null, handle = null } = {}) {
+    const targets = (await listUserSessions(userId)).filter(session => session.sid !== except && (!handle || sessionHandle(session.sid) === handle));
+    await Promise.all(targets.map(session => new Promise((resolve, reject) => {
+        sessionStore.destroy(session.sid, (err) => (err ? reject(err) : resolve()));
+    })));
+    disconnectSessionSockets(targets.map(session => session.sid));
+    return targets.length;
+}
+
+const requireSelfOrAdmin = (req, res, next) => {
+    requireLogin(req, res, () => {
+        if (String(req.user.id) !== req.params.id && req.user.role !== 'admin') {
+            return res.status(403).json({ message: 'You do not have permission to do this.' });
+        }
+        next();
+    });
+};
+
+app.get('/api/users/:id/sessions', requireSelfOrAdmin, async (req, res) => {
+    try {
+        const sessions = await listUserSessions(req.params.id);
+        res.json(sessions
+            .map(session => ({
+                id: sessionHandle(session.sid),
+                created_at: session.data.createdAt || null,
+                last_seen_at: session.data.lastSeenAt || null,
+                ip: session.data.ip || null,
+                user_agent: session.data.userAgent || null,
+                expires_at: session.expiresAt,
+                current: session.sid === req.sessionID
+            }))
+            .sort((a, b) => String(b.last_seen_at).localeCompare(String(a.last_seen_at))));
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to retrieve sessions.' });
+    }
+});
+
+// `session` names one session to sign out; without it, every session except the caller's own is signed out.
+app.post('/api/users/:id/sessions/revoke', requireSelfOrAdmin, async (req, res) => {
+    const handle = req.body.session || null;
+    try {
+        const count = await revokeSessions(req.params.id, { except: req.sessionID, handle });
+        if (handle && count === 0) return res.status(404).json({ message: 'Session not found. It may already have ended.' });
+        recordAudit(req, 'sessions_revoked', { target: `user #${req.params.id}`, after: { count } });
+        res.json({ message: `${count} session${count === 1 ? '' : 's'} signed out.` });
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to sign out sessions.' });
+    }
+});
+
+// PASSWORD RESET
+// The request is answered the same way whether or not the email has an account, and the email goes out
+// after the response so its timing doesn't give that away either.
+const allowResetFromIp = createRateLimiter(LOGIN_RATE_WINDOW_MS, 10);
+
+async function sendPasswordReset(req, email) {
+    const user = await dbGet('SELECT id, email, disabled FROM users WHERE email = ?', [email]);
+    if (!user || user.disabled) return;
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000).toISOString();
+    // Only the newest link works.
+    await dbRun('UPDATE password_resets SET used_at = ? WHERE user_id = ? AND used_at IS NULL', [now.toISOString(), user.id]);
+    await dbRun('INSERT INTO password_resets (user_id, token_hash, created_at, expires_at) VALUES (?, ?, ?, ?)', [user.id, hashToken(token), now.toISOString(), expiresAt]);
+    recordAudit(req, 'password_reset_requested', { actor: user.email });
+    if (!mailer) return console.warn(`[Auth] Password reset requested for ${user.email}, but SMTP_HOST is not set so no email was sent.`);
+
+    // Set PUBLIC_BASE_URL in production, so a forged Host header can't point the link somewhere else.
+    const baseUrl = FEED_CONFIG.baseUrl || `${req.protocol}://${req.get('host')}`;
+    await mailer.send({
+        to: user.email,
+        subject: 'Reset your staff password',
+        text: [
+            `Someone asked to reset the password for the staff account ${user.email}.`,
+            '',
+            `To choose a new password, open this link within ${PASSWORD_RESET_TTL_MINUTES} minutes:`,
+            `${baseUrl}/staff?reset=${token}`,
+            '',
+            "If this wasn't you, you can ignore this email. Your password has not been changed."
+        ].join('\n')
+    });
+    console.log(`[Auth] Password reset email sent to ${user.email}`);
+}
+
+app.post('/api/password-reset', (req, res) => {
+    if (!allowResetFromIp(req.ip)) return res.status(429).json({ message: 'Too many requests. Please wait a few minutes and try again.' });
+    res.json({ message: 'If that email belongs to a staff account, a link to reset the password is on its way.' });
+    sendPasswordReset(req, String(req.body.email || '').trim())
+        .catch(err => console.error('[Auth] Failed to send a password reset email:', err.message));
+});
+
+// Setting a new password unlocks the account and signs out every session. Two-factor sign-in stays on.
+app.post('/api/password-reset/complete', async (req, res) => {
+    const { token, password } = req.body;
+    if (!allowResetFromIp(req.ip)) return res.status(429).json({ message: 'Too many requests. Please wait a few minutes and try again.' });
+    try {
+        const reset = await dbGet(`SELECT password_resets.*, users.email FROM password_resets JOIN users ON users.id = password_resets.user_id
+            WHERE token_hash = ?`, [hashToken(token)]);
+        if (!reset || reset.used_at || reset.expires_at < new Date().toISOString()) {
+            return res.status(400).json({ message: 'This reset link is invalid or has expired. Please ask for a new one.' });
+        }
+        const problem = passwordProblem(password, reset.email);
+        if (problem) return res.status(400).json({ message: problem });
+
+        const { changes } = await dbRun('UPDATE password_resets SET used_at = ? WHERE id = ? AND used_at IS NULL', [new Date().toISOString(), reset.id]);
+        if (changes === 0) return res.status(400).json({ message: 'This reset link has already been used.' });
+        await setPassword(reset.user_id, password);
+        const signedOut = await revokeSessions(reset.user_id);
+        console.log(`[Auth] Password reset for ${reset.email}`);
+        recordAudit(req, 'password_reset', { actor: reset.email, after: { sessions_signed_out: signedOut } });
+        res.json({ message: 'Your password has been changed. You can now log in.' });
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to reset the password.' });
+    }
+});
+
+
+// STAFF DASHBOARD API
+const SUBMISSION_LIST_COLUMNS = `submissions.*, (SELECT COUNT(*) FROM submission_notes WHERE submission_id = submissions.id) AS note_count,
+    (SELECT status FROM transcripts WHERE submission_id = submissions.id) AS transcript_status,
+    (SELECT flag_categories FROM transcripts WHERE submission_id = submissions.id) AS content_flags,
+    (SELECT name FROM campaigns WHERE id = submissions.campaign_id) AS campaign_name,
+    (SELECT text FROM prompts WHERE id = submissions.prompt_id) AS prompt_text`;
+
+// Sort orders offered by the dashboard. Missing measurements are coalesced so they sort last either way,
+// which also keeps the keyset cursor comparisons well defined.
+const SUBMISSION_SORTS = {
+    newest: { key: "COALESCE(submitted_at, '')", dir: 'DESC' },
+    oldest: { key: "COALESCE(submitted_at, '')", dir: 'ASC' },
+    duration: { key: 'COALESCE(duration_seconds, 1e12)', dir: 'ASC' },
+    silence: { key: 'COALESCE(silence_ratio, -1)', dir: 'DESC' },
+    speech: { key: 'COALESCE(speech_ratio, 2)', dir: 'ASC' },
+    peak: { key: 'COALESCE(peak_db, -1e12)', dir: 'DESC' }
+};
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const encodeCursor = (row) => Buffer.from(JSON.stringify([row.sort_value, row.id])).toString('base64url');
+
+function decodeCursor(cursor) {
+    try {
+        const [value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        return Number.isInteger(id) && ['string', 'number'].includes(typeof value) ? { value, id } : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+const isDateParam = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value).getTime());
+
+// Every filter except status, so the same clauses can produce the per-status counts.
+function buildSubmissionFilters(query) {
+    const clauses = [];
+    const params = [];
+    if (query.campaign && query.campaign !== 'all') {
+        clauses.push('campaign_id = ?');
+        params.push(Number(query.campaign));
+    }
+    if (query.assignee === 'unassigned') clauses.push('assignee_email IS NULL');
+    else if (query.assignee && query.assignee !== 'all') {
+        clauses.push('assignee_email = ?');
+        params.push(query.assignee);
+    }
+    if (query.postcode) {
+        clauses.push('postcode_district = ?');
+        params.push(String(query.postcode).replace(/\s/g, '').toUpperCase());
+    }
+    if (isDateParam(query.from)) {
+        clauses.push('submitted_at >= ?');
+        params.push(new Date(query.from).toISOString());
+    }
+    if (isDateParam(query.to)) {
+        // `to` is inclusive, so compare against the start of the following day.
+        const end = new Date(query.to);
+        end.setUTCDate(end.getUTCDate() + 1);
+        clauses.push('submitted_at < ?');
+        params.push(end.toISOString());
+    }
+    if (query.q) {
+        // Searches what was said as well as the filename.
+        clauses.push(`(filename LIKE ? ESCAPE '\\'
+            OR EXISTS (SELECT 1 FROM transcripts WHERE submission_id = submissions.id AND text LIKE ? ESCAPE '\\'))`);
+        const pattern = `%${String(query.q).replace(/[\\%_]/g, ch => `\\${ch}`)}%`;
+        params.push(pattern, pattern);
+    }
+    if (query.tag === 'none') clauses.push('tags IS NULL');
+    else if (query.tag && query.tag !== 'all') {
+        clauses.push("(',' || tags || ',') LIKE ?");
+        params.push(`%,${query.tag},%`);
+    }
+    if (query.quality === 'issues') clauses.push("quality_flags IS NOT NULL AND quality_flags != ''");
+    else if (query.quality === 'ok') clauses.push("(quality_flags IS NULL OR quality_flags = '')");
+    else if (query.quality === 'content') clauses.push('EXISTS (SELECT 1 FROM transcripts WHERE submission_id = submissions.id AND flag_categories IS NOT NULL)');
+    return { clauses, params };
+}
+
+// GET /api/submissions?status=Approved,Publish failed&assignee=&postcode=&from=&to=&q=&tag=&quality=&sort=&limit=&cursor=
+// Returns one page of matching notes, a cursor for the next page and counts per status for the same search.
+app.get('/api/submissions', requireLogin, (req, res) => {
+    const sort = SUBMISSION_SORTS[req.query.sort] || SUBMISSION_SORTS.newest;
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const statuses = req.query.status ? String(req.query.status).split(',').map(status => status.trim()).filter(Boolean) : [];
+    const { clauses, params } = buildSubmissionFilters(req.query);
+
+    const pageClauses = [...clauses];
+    const pageParams = [...params];
+    if (statuses.length > 0) {
+        pageClauses.push(`status IN (${statuses.map(() => '?').join(',')})`);
+        pageParams.push(...statuses);
+    }
+    if (req.query.cursor) {
+        const cursor = decodeCursor(req.query.cursor);
+        if (!cursor) return res.status(400).json({ message: 'Invalid cursor.' });
+        const op = sort.dir === 'DESC' ? '<' : '>';
+        pageClauses.push(`(${sort.key} ${op} ? OR (${sort.key} = ? AND id ${op} ?))`);
+        pageParams.push(cursor.value, cursor.value, cursor.id);
+    }
+
+    const where = (list) => list.length > 0 ? ` WHERE ${list.join(' AND ')}` : '';
+    const pageQuery = `SELECT ${SUBMISSION_LIST_COLUMNS}, ${sort.key} AS sort_value FROM submissions${where(pageClauses)}
+        ORDER BY sort_value ${sort.dir}, id ${sort.dir} LIMIT ?`;
+
+    db.all(pageQuery, [...pageParams, limit + 1], (err, rows) => {
+        if (err) return res.status(500).json({ message: 'Failed to retrieve submissions.' });
+        db.all(`SELECT status, COUNT(*) AS count FROM submissions${where(clauses)} GROUP BY status`, params, (countErr, countRows) => {
+            if (countErr) return res.status(500).json({ message: 'Failed to retrieve submissions.' });
+            const page = rows.slice(0, limit);
+            const nextCursor = rows.length > limit ? encodeCursor(page[page.length - 1]) : null;
+            const counts = Object.fromEntries(countRows.map(row => [row.status, row.count]));
+            res.json({ submissions: page.map(({ sort_value, ...sub }) => withAudioUrls(sub, req.user.id)), nextCursor, counts });
+        });
+    });
+});
+
+// AUDIO STREAMING API
+// Recordings are only reachable through signed URLs handed to logged-in staff. Each URL is tied to the user,
+// the note's audio key and the processed or original version, and stops working after AUDIO_URL_TTL_MINUTES.
+const AUDIO_VARIANTS = ['processed', 'original'];
+
+const signAudioUrl = (audioKey, variant, userId, expires) =>
+    crypto.createHmac('sha256', AUDIO_URL_SECRET).update(`${audioKey}.${variant}.${userId}.${expires}`).digest('hex');
+
+function signedAudioUrl(audioKey, variant, userId) {
+    const expires = Math.floor(Date.now() / 1000) + AUDIO_URL_TTL_MINUTES * 60;
+    return `/api/audio/${audioKey}?variant=${variant}&expires=${expires}&sig=${signAudioUrl(audioKey, variant, userId, expires)}`;
+}
+
+// Swaps the audio key on a submission row for signed URLs the dashboard can play. The receipt code is left out:
+// it is the contributor's proof of ownership, and anyone holding it can withdraw the note.
+function withAudioUrls(sub, userId) {
+    const { audio_key: audioKey, receipt_code: receiptCode, ...rest } = sub;
+    if (!audioKey) return rest;
+    return { ...rest, audioUrl: signedAudioUrl(audioKey, 'processed', userId), originalAudioUrl: signedAudioUrl(audioKey, 'original', userId) };
+}
+
+app.get('/api/audio/:key', requireLogin, async (req, res) => {
+    const { key } = req.params;
+    const { variant, expires, sig } = req.query;
+    if (!/^[a-f0-9]{32}$/.test(key) || !AUDIO_VARIANTS.includes(variant) || typeof sig !== 'string') {
+        return res.status(403).json({ message: 'This audio link is not valid.' });
+    }
+    const expected = signAudioUrl(key, variant, req.user.id, expires);
+    if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) {
+        return res.status(403).json({ message: 'This audio link is not valid.' });
+    }
+    if (Number(expires) * 1000 < Date.now()) return res.status(403).json({ message: 'This audio link has expired.' });
+
+    try {
+        let audio;
+        if (variant === 'original') {
+            const stat = await audioStorage.stat(storageKey('originals', key));
+            audio = stat && { key: storageKey('originals', key), size: stat.size };
+        } else {
+            audio = await findAudio(key);
+        }
+        if (!audio) return res.status(404).json({ message: 'Audio file is missing.' });
+        await sendAudio(req, res, audio, 'private, no-store');
+    } catch (storageErr) {
+        console.error(`[Storage] Failed to stream audio ${key}:`, storageErr.message);
+        if (!res.headersSent) res.status(500).json({ message: 'Failed to retrieve audio.' });
+    }
+});
+
+// Fresh URLs for a player whose signed URL expired while the dashboard was open.
+app.get('/api/submission/:id/audio', requireLogin, (req, res) => {
+    db.get('SELECT audio_key FROM submissions WHERE id = ?', [req.params.id], (err, sub) => {
+        if (err) return res.status(500).json({ message: 'Failed to retrieve submission.' });
+        if (!sub || !sub.audio_key) return res.status(404).json({ message: 'Submission not found.' });
+        res.json(withAudioUrls(sub, req.user.id));
+    });
+});
+
+// Every tag in use, for the dashboard's tag filter.
+app.get('/api/submissions/tags', requireLogin, (req, res) => {
+    db.all('SELECT tags FROM submissions WHERE tags IS NOT NULL', [], (err, rows) => {
+        if (err) return res.status(500).json({ message: 'Failed to retrieve tags.' });
+        const tags = new Set();
+        rows.forEach(row => row.tags.split(',').forEach(tag => tags.add(tag)));
+        res.json([...tags].sort());
+    });
+});
+
+// Submissions whose retention period ends within the next `days` days (default 30).
+app.get('/api/submissions/expiring', requireLogin, (req, res) => {
+    const days = parseInt(req.query.days, 10) || 30;
+    const now = new Date();
+    const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+    db.all(
+        'SELECT * FROM submissions WHERE purged_at IS NULL AND retention_expires_at > ? AND retention_expires_at <= ? ORDER BY retention_expires_at ASC',
+        [now.toISOString(), until.toISOString()],
+        (err, rows) => {
+            if (err) return res.status(500).json({ message: 'Failed to retrieve expiring submissions.' });
+            res.json(rows.map(row => withAudioUrls(row, req.user.id)));
+        }
+    );
+});
+
+app.get('/api/retention/log', requireLogin, (req, res) => {
+    db.all('SELECT * FROM retention_log ORDER BY run_at DESC, id DESC LIMIT 200', [], (err, rows) => {
+        if (err) return res.status(500).json({ message: 'Failed to retrieve retention log.' });
+        res.json(rows);
+    });
+});
+
+app.get('/api/submission/:id/history', requireLogin, (req, res) => {
+    db.all('SELECT * FROM audit_log WHERE submission_id = ? ORDER BY created_at ASC, id ASC', [req.params.id], (err, rows) => {
+        if (err) return res.status(500).json({ message: 'Failed to retrieve history.' });
+        res.json(rows);
+    });
+});
+
+// Text that a spreadsheet would read as a formula is prefixed with a quote. Numbers are left alone so negatives stay numbers.
+const toCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+app.get('/api/audit/export', requireRole('admin'), (req, res) => {
+    db.all('SELECT * FROM audit_log ORDER BY created_at ASC, id ASC', [], (err, rows) => {
+        if (err) return res.status(500).json({ message: 'Failed to export audit log.' });
+        const columns = ['id', 'created_at', 'actor', 'action', 'submission_id', 'target', 'before_value', 'after_value', 'ip'];
+        const lines = [columns.join(',')].concat(rows.map(row => columns.map(col => toCsvValue(row[col])).join(',')));
+        recordAudit(req, 'audit_exported', { after: { rows: rows.length } });
+        res.attachment(`audit-log-${new Date().toISOString().slice(0, 10)}.csv`);
+        res.type('text/csv').send(lines.join('\n'));
+    });
+});
+
+// Receipt codes are left out: staff only need to see that a note was withdrawn and whether it has been erased.
+app.get('/api/withdrawals', requireLogin, (req, res) => {
+    db.all('SELECT id, submission_id, requested_at, erased_at FROM withdrawal_requests ORDER BY requested_at DESC', [], (err, rows) => {
+        if (err) return res.status(500).json({ message: 'Failed to retrieve withdrawal requests.' });
+        res.json(rows);
+    });
+});
+
+// The dashboard uses this to show only the actions that are valid for each note.
+app.get('/api/workflow', requireLogin, (req, res) => {
+    const transitions = Object.entries(WORKFLOW_TRANSITIONS)
+        .filter(([, transition]) => !transition.system)
+        .map(([name, { label, from, to, roles }]) => ({ name, label, from, to, roles }));
+    res.json(transitions);
+});
+
+app.get('/api/submission/:id/status-history', requireLogin, (req, res) => {
+    db.all('SELECT * FROM status_history WHERE submission_id = ? ORDER BY created_at ASC, id ASC', [req.params.id], (err, rows) => {
+        if (err) return res.status(500).json({ message: 'Failed to retrieve status history.' });
+        res.json(rows);
+    });
+});
+
+app.post('/api/submission/status', requireRole('reviewer', 'admin'), (req, res) => {
+    const { filename, transition: name, rejectionReason, note, takeOver } = req.body;
+    const transition = Object.prototype.hasOwnProperty.call(WORKFLOW_TRANSITIONS, name) ? WORKFLOW_TRANSITIONS[name] : null;
+    if (!transition || transition.system) return res.status(400).json({ message: 'Unknown status change.' });
+    if (!transition.roles.includes(req.user.role)) return res.status(403).json({ message: 'Your role does not allow this status change.' });
+
+    db.get('SELECT id, status, approved_by FROM submissions WHERE filename = ?', [filename], (lookupErr, sub) => {
+        if (lookupErr) return res.status(500).json({ message: 'Failed to update status.' });
+        if (!sub) return res.status(404).json({ message: 'Submission not found.' });
+        if (sub.status === 'Withdrawn') return res.status(409).json({ message: 'This submission has been withdrawn by the contributor.' });
+        const lock = reviewLockHeldByOther(sub.id, req.user.id);
+        if (lock && !takeOver) return res.status(423).json({ message: `${lock.email} is reviewing this note right now.`, lockedBy: lock.email });
+
+        // approved_by keeps the last approver; the full trail lives in status_history.
+        const fields = transition.to === 'Approved' ? { approved_by: req.user.email } : {};
+        if (name === 'bin') {
+            if (!REJECTION_REASONS.includes(rejectionReason)) return res.status(400).json({ message: 'Please choose a reason for binning this note.' });
+            fields.rejection_reason = rejectionReason;
+        } else if (sub.status === 'Binned') {
+            fields.rejection_reason = null;
+        }
+
+        transitionSubmission(sub, name, req.user.email, fields, (err, status) => {
+            if (err) return res.status(err.statusCode || 500).json({ message: err.statusCode ? err.message : 'Failed to update status.' });
+            console.log(`[Action] ${filename} moved from ${sub.status} to ${status} (${name}) by user: ${req.user.email}`);
+            if (lock) recordAudit(req, 'review_lock_overridden', { submissionId: sub.id, target: filename, before: { locked_by: lock.email } });
+            recordAudit(req, 'status_changed', {
+                submissionId: sub.id, target: filename,
+                before: { status: sub.status, approved_by: sub.approved_by },
+                after: { status, approved_by: fields.approved_by || sub.approved_by, rejection_reason: fields.rejection_reason }
+            });
+            // The review is finished, so the note is free for anyone again.
+            releaseReviewLock(sub.id);
+            const broadcast = () => broadcastSubmission(sub.id, { previousStatus: sub.status });
+            if (note && String(note).trim()) {
+                addReviewerNote(sub.id, req.user.email, String(note).trim(), (noteErr) => {
+                    if (noteErr) console.error(`[Notes] Failed to save note for ${filename}:`, noteErr.message);
+                    broadcast();
+                });
+            } else {
+                broadcast();
+            }
+            res.status(200).json({ message: 'Status updated successfully.' });
+        });
+    });
+});
+
+app.get('/api/review-options', requireLogin, (req, res) => {
+    res.json({ rejectionReasons: REJECTION_REASONS, suggestedTags: SUGGESTED_TAGS });
+});
+
+app.get('/api/submission/:id/notes', requireLogin, (req, res) => {
+    db.all('SELECT * FROM submission_notes WHERE submission_id = ? ORDER BY created_at ASC, id ASC', [req.params.id], (err, rows) => {
+        if (err) return res.status(500).json({ message: 'Failed to retrieve notes.' });
+        res.json(rows);
+    });
+});
+
+app.post('/api/submission/:id/notes', requireRole('reviewer', 'admin'), (req, res) => {
+    const body = String(req.body.body || '').trim();
+    if (!body) return res.status(400).json({ message: 'Note cannot be empty.' });
+    if (body.length > 2000) return res.status(400).json({ message: 'Notes are limited to 2000 characters.' });
+
+    db.get('SELECT id, filename FROM submissions WHERE id = ?', [req.params.id], (lookupErr, sub) => {
+        if (lookupErr) return res.status(500).json({ message: 'Failed to save note.' });
+        if (!sub) return res.status(404).json({ message: 'Submission not found.' });
+        addReviewerNote(sub.id, req.user.email, body, (err) => {
+            if (err) return res.status(500).json({ message: 'Failed to save note.' });
+            recordAudit(req, 'note_added', { submissionId: sub.id, target: sub.filename });
+            broadcastSubmission(sub.id);
+            res.status(201).json({ message: 'Note added.' });
+        });
+    });
+});
+
+app.post('/api/submission/tags', requireRole('reviewer', 'admin'), (req, res) => {
+    const { filename } = req.body;
+    const tags = normaliseTags(req.body.tags);
+    if (!tags) return res.status(400).json({ message: 'Tags must be a list.' });
+
+    db.get('SELECT id, tags FROM submissions WHERE filename = ?', [filename], (lookupErr, sub) => {
+        if (lookupErr) return res.status(500).json({ message: 'Failed to update tags.' });
+        if (!sub) return res.status(404).json({ message: 'Submission not found.' });
+        const value = tags.length > 0 ? tags.join(',') : null;
+        db.run('UPDATE submissions SET tags = ? WHERE id = ?', [value, sub.id], (err) => {
+            if (err) return res.status(500).json({ message: 'Failed to update tags.' });
+            console.log(`[Action] Tags for ${filename} set to [${tags.join(', ')}] by user: ${req.user.email}`);
+            recordAudit(req, 'tags_changed', { submissionId: sub.id, target: filename, before: { tags: sub.tags }, after: { tags: value } });
+            broadcastSubmission(sub.id);
+            res.json({ message: 'Tags updated.', tags });
+        });
+    });
+});
+
+// Swaps the processed audio for the unprocessed transcode kept at upload time.
+app.post('/api/submission/revert-audio', requireRole('reviewer', 'admin'), (req, res) => {
+    const { filename, takeOver } = req.body;
+    db.get('SELECT id, processing_chain, audio_key FROM submissions WHERE filename = ?', [filename], async (lookupErr, sub) => {
+        if (lookupErr || !sub) return res.status(404).json({ message: 'Submission not found.' });
+        const lock = reviewLockHeldByOther(sub.id, req.user.id);
+        if (lock && !takeOver) return res.status(423).json({ message: `${lock.email} is reviewing this note right now.`, lockedBy: lock.email });
+        const originalKey = storageKey('originals', sub.audio_key);
+        const workPath = path.join(workDir, `revert-${sub.audio_key}.mp3`);
+        let measured;
+        try {
+            const [original, live] = await Promise.all([audioStorage.stat(originalKey), findAudio(sub.audio_key)]);
+            if (!original || !live) return res.status(404).json({ message: 'No original audio is available for this submission.' });
+            await audioStorage.downloadFile(originalKey, workPath);
+            measured = await measureAudio(workPath);
+            await audioStorage.putFile(live.key, workPath);
+        } catch (storageErr) {
+            console.error(`[Storage] Failed to revert audio for ${filename}:`, storageErr.message);
+            fs.unlink(workPath, () => {});
+            return res.status(500).json({ message: 'Failed to revert the audio.' });
+        }
+
+        db.run(
+            `UPDATE submissions SET duration_seconds = ?, loudness_lufs = ?, processing_chain = 'original' WHERE id = ?`,
+            [measured.durationSeconds, measured.loudnessLufs, sub.id],
+            (err) => {
+                if (err) return res.status(500).json({ message: 'Failed to update submission.' });
+                console.log(`[Action] Audio for ${filename} reverted to the original by user: ${req.session.userEmail}`);
+                recordAudit(req, 'audio_reverted', {
+                    submissionId: sub.id, target: filename,
+                    before: { processing_chain: sub.processing_chain }, after: { processing_chain: 'original' }
+                });
+                broadcastSubmission(sub.id);
+                // Trimmed silence shifted the old timestamps, so transcribe the original again.
+                requestTranscription(sub.id);
+                res.json({ message: 'Reverted to the original audio.' });
+            }
+        );
+    });
+});
+
+app.post('/api/submission/delete', requireRole('admin'), (req, res) => {
+    const { filename } = req.body;
+    db.get('SELECT id, status, audio_key FROM submissions WHERE filename = ?', [filename], (lookupErr, sub) => {
+        if (lookupErr) return res.status(500).json({ message: 'Failed to delete submission record.' });
+        if (sub) removeAudioFiles(sub.audio_key).catch(storageErr => console.error(`[Storage] Failed to remove audio for ${filename}:`, storageErr.message));
+
+        db.run('DELETE FROM submissions WHERE filename = ?', [filename], function(err) {
+            if (err) {
+                console.error("DB Delete Error:", err.message);
+                return res.status(500).json({ message: 'Failed to delete submission record.' });
+            }
+            console.log(`[Action] Permanently deleted ${filename} by user: ${req.session.userEmail}`);
+            if (sub) {
+                deleteReviewerNotes(sub.id);
+                deleteTranscript(sub.id);
+            }
+            recordAudit(req, 'deleted', { submissionId: sub ? sub.id : null, target: filename, before: sub ? { status: sub.status } : null });
+            if (sub) broadcastSubmissionDeleted(sub.id);
+            res.status(200).json({ message: 'Submission permanently deleted.' });
+        });
+    });
+});
+
+app.post('/api/submissions/assign-bulk', requireRole('reviewer', 'admin'), (req, res) => {
+    const { filenames, assigneeEmail } = req.body;
+    if (!filenames || !Array.isArray(filenames) || filenames.length === 0 || !assigneeEmail) {
+        return res.status(400).json({ message: 'Filenames and assignee are required.' });
+    }
+    const placeholders = filenames.map(() => '?').join(',');
+    db.all(`SELECT id, filename, assignee_email FROM submissions WHERE filename IN (${placeholders})`, filenames, (lookupErr, previous) => {
+        if (lookupErr) return res.status(500).json({ message: 'Failed to assign submissions.' });
+        const query = `UPDATE submissions SET assignee_email = ? WHERE filename IN (${placeholders})`;
+        const params = [assigneeEmail, ...filenames];
+        db.run(query, params, function(err) {
+            if (err) {
+                console.error("Bulk assign error:", err.message);
+                return res.status(500).json({ message: 'Failed to assign submissions.' });
+            }
+            console.log(`[Action] ${filenames.length} files assigned to ${assigneeEmail} by ${req.session.userEmail}`);
+            previous.forEach(sub => recordAudit(req, 'assigned', {
+                submissionId: sub.id, target: sub.filename,
+                before: { assignee_email: sub.assignee_email }, after: { assignee_email: assigneeEmail }
+            }));
+            previous.forEach(sub => broadcastSubmission(sub.id));
+            res.status(200).json({ message: 'Submissions assigned successfully.' });
+        });
+    });
+});
+
+// TRANSCRIPTS
+// New notes are transcribed in the background, one at a time, by the provider in transcription.js.
+// Each transcript keeps its timestamped segments and anything the content flag rules picked out.
+let transcriber = null;
+try {
+    transcriber = createTranscriber();
+} catch (err) {
+    console.warn(`[Transcripts] Transcription is off: ${err.message}`);
+}
+const transcriptFlagRules = loadFlagRules(TRANSCRIPT_FLAGS_FILE);
+const transcriptionQueue = [];
+let transcriptionRunning = false;
+
+// Transcripts are as personal as the recording, so they go whenever the audio does.
+function deleteTranscript(submissionId) {
+    db.run('DELETE FROM transcripts WHERE submission_id = ?', [submissionId], (err) => {
+        if (err) console.error(`[Transcripts] Failed to delete the transcript for submission #${submissionId}:`, err.message);
+    });
+}
+
+// Queues a note for transcription, replacing any transcript it already has once the new one is done.
+function requestTranscription(submissionId, callback = () => {}) {
+    if (!transcriber) return callback(null, false);
+    db.run(
+        `INSERT INTO transcripts (submission_id, status, requested_at) VALUES (?, 'queued', ?)
+         ON CONFLICT (submission_id) DO UPDATE SET status = 'queued', error = NULL, requested_at = excluded.requested_at`,
+        [submissionId, new Date().toISOString()],
+        (err) => {
+            if (err) {
+                console.error(`[Transcripts] Failed to queue submission #${submissionId}:`, err.message);
+                return callback(err);
+            }
+            queueTranscription(submissionId);
+            callback(null, true);
+        }
+    );
+}
+
+function queueTranscription(submissionId) {
+    if (!transcriber || transcriptionQueue.includes(submissionId)) return;
+    transcriptionQueue.push(submissionId);
+    runNextTranscription();
+}
+
+function runNextTranscription() {
+    if (transcriptionRunning || transcriptionQueue.length === 0) return;
+    transcriptionRunning = true;
+    const submissionId = transcriptionQueue.shift();
+    runTranscriptionJob(submissionId)
+        .catch(async (err) => {
+            console.error(`[Transcripts] Submission #${submissionId} failed:`, err.message);
+            await dbRun(`UPDATE transcripts SET status = 'failed', error = ?, completed_at = ? WHERE submission_id = ?`,
+                [err.message, new Date().toISOString(), submissionId]).catch(() => {});
+        })
+        .finally(() => {
+            transcriptionRunning = false;
+            broadcastSubmission(submissionId);
+            runNextTranscription();
+        });
+}
+
+// Speech models want 16 kHz mono PCM.
+function convertForTranscription(inputPath, outputPath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg(inputPath)
+            .audioChannels(1)
+            .audioFrequency(16000)
+            .audioCodec('pcm_s16le')
+            .toFormat('wav')
+            .on('end', () => resolve())
+            .on('error', (err) => reject(err))
+            .save(outputPath);
+    });
+}
+
+async function runTranscriptionJob(submissionId) {
+    const sub = await dbGet('SELECT id, audio_key FROM submissions WHERE id = ? AND purged_at IS NULL', [submissionId]);
+    if (!sub || !sub.audio_key) return dbRun('DELETE FROM transcripts WHERE submission_id = ?', [submissionId]);
+    await dbRun(`UPDATE transcripts SET status = 'running' WHERE submission_id = ?`, [submissionId]);
+    broadcastSubmission(submissionId);
+
+    const audio = await findAudio(sub.audio_key);
+    if (!audio) throw new Error('Audio file is missing.');
+    const mp3Path = path.join(workDir, `transcribe-${sub.audio_key}.mp3`);
+    const wavPath = path.join(workDir, `transcribe-${sub.audio_key}.wav`);
+    try {
+        await audioStorage.downloadFile(audio.key, mp3Path);
+        await convertForTranscription(mp3Path, wavPath);
+        const { language, segments } = await transcriber.transcribe(wavPath);
+        const flags = scanTranscript(segments, transcriptFlagRules);
+        const categories = [...new Set(flags.map(flag => flag.category))].join(',');
+        // If the note was erased while this ran, its row is gone and nothing is written.
+        await dbRun(
+            `UPDATE transcripts SET status = 'done', provider = ?, language = ?, text = ?, segments = ?, flags = ?, flag_categories = ?,
+             error = NULL, completed_at = ? WHERE submission_id = ?`,
+            [transcriber.name, language, segments.map(segment => segment.text).join(' '), JSON.stringify(segments),
+                JSON.stringify(flags), categories || null, new Date().toISOString(), submissionId]
+        );
+        console.log(`[Transcripts] Submission #${submissionId} transcribed${categories ? ` (flagged: ${categories})` : ''}.`);
+    } finally {
+        fs.unlink(mp3Path, () => {});
+        fs.unlink(wavPath, () => {});
+    }
+}
+
+// Caption times are hh:mm:ss,mmm in SRT and hh:mm:ss.mmm in WebVTT.
+function captionTime(seconds, separator) {
+    const ms = Math.round(seconds * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+function buildCaptions(segments, format) {
+    const separator = format === 'srt' ? ',' : '.';
+    const cues = segments.map((segment, index) => {
+        const cue = `${captionTime(segment.start, separator)} --> ${captionTime(segment.end, separator)}\n${segment.text}`;
+        return format === 'srt' ? `${index + 1}\n${cue}` : cue;
+    });
+    return format === 'srt' ? `${cues.join('\n\n')}\n` : `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+app.get('/api/submission/:id/transcript', requireLogin, (req, res) => {
+    db.get('SELECT * FROM transcripts WHERE submission_id = ?', [req.params.id], (err, transcript) => {
+        if (err) return res.status(500).json({ message: 'Failed to retrieve the transcript.' });
+        if (!transcript) return res.status(404).json({ message: 'This note has not been transcribed.' });
+        res.json({
+            status: transcript.status,
+            provider: transcript.provider,
+            language: transcript.language,
+            segments: transcript.segments ? JSON.parse(transcript.segments) : [],
+            flags: transcript.flags ? JSON.parse(transcript.flags) : [],
+            error: transcript.error,
+            completedAt: transcript.completed_at
+        });
+    });
+});
+
+// Queues a note for transcription again, e.g. after a failure or a change to the model.
+app.post('/api/submission/:id/transcribe', requireRole('reviewer', 'admin'), (req, res) => {
+    if (!transcriber) return res.status(503).json({ message: 'Transcription is not set up on this server.' });
+    db.get('SELECT id, filename FROM submissions WHERE id = ? AND purged_at IS NULL', [req.params.id], (lookupErr, sub) => {
+        if (lookupErr || !sub) return res.status(404).json({ message: 'Submission not found.' });
+        requestTranscription(sub.id, (err) => {
+            if (err) return res.status(500).json({ message: 'Failed to queue the transcription.' });
+            broadcastSubmission(sub.id);
+            res.status(202).json({ message: 'Transcription queued.' });
+        });
+    });
+});
+
+// GET /api/submission/:id/captions.srt (or .vtt) downloads the transcript as a caption file.
+app.get('/api/submission/:id/captions.:format', requireLogin, (req, res) => {
+    const { format } = req.params;
+    if (!['srt', 'vtt'].includes(format)) return res.status(400).json({ message: 'Captions are available as srt or vtt.' });
+    db.get(
+        `SELECT submissions.filename, transcripts.segments FROM transcripts JOIN submissions ON submissions.id = transcripts.submission_id
+         WHERE transcripts.submission_id = ? AND transcripts.status = 'done'`,
+        [req.params.id],
+        (err, row) => {
+            if (err) return res.status(500).json({ message: 'Failed to build captions.' });
+            if (!row) return res.status(404).json({ message: 'This note has no finished transcript.' });
+            recordAudit(req, 'captions_exported', { submissionId: Number(req.params.id), target: row.filename, after: { format } });
+            res.type(format === 'srt' ? 'application/x-subrip' : 'text/vtt');
+            res.attachment(row.filename.replace(/\.mp3$/, `.${format}`));
+            res.send(buildCaptions(JSON.parse(row.segments), format));
+        }
+    );
+});
+
+// REVIEW QUEUE
+// "Review next" hands a reviewer the oldest note waiting for them: their own assignments first, then unassigned
+// notes. The claim is taken in a single UPDATE, so two reviewers asking at once never get the same note.
+// A reviewer holds one claim at a time; asking for another note releases the last one.
+const claimableClauses = `status = 'Needs Reviewing' AND (assignee_email IS NULL OR assignee_email = ?)
+    AND (claimed_by IS NULL OR claimed_by = ? OR claim_expires_at <= ?)`;
+
+async function releaseClaims(email) {
+    const claimed = await dbAll('SELECT id FROM submissions WHERE claimed_by = ?', [email]);
+    await dbRun('UPDATE submissions SET claimed_by = NULL, claim_expires_at = NULL WHERE claimed_by = ?', [email]);
+    claimed.forEach(sub => broadcastSubmission(sub.id));
+}
+
+// `campaign` limits the queue to one campaign's notes.
+app.post('/api/review-queue/next', requireRole('reviewer', 'admin'), async (req, res) => {
+    const email = req.user.email;
+    // Notes skipped during this session are passed back so the reviewer isn't handed them again straight away.
+    const skip = (Array.isArray(req.body.skip) ? req.body.skip : []).map(Number).filter(Number.isInteger).slice(0, 500);
+    const campaignId = req.body.campaign && req.body.campaign !== 'all' ? Number(req.body.campaign) : null;
+    const queueFilter = (skip.length > 0 ? ` AND id NOT IN (${skip.map(() => '?').join(',')})` : '') + (campaignId ? ' AND campaign_id = ?' : '');
+    const queueParams = campaignId ? [...skip, campaignId] : skip;
+    const now = new Date().toISOString();
+    const expiresAt = new Date(Date.now() + REVIEW_CLAIM_TTL_MINUTES * 60 * 1000).toISOString();
+
+    try {
+        await releaseClaims(email);
+        await dbRun(
+            `UPDATE submissions SET claimed_by = ?, claim_expires_at = ? WHERE id = (
+                SELECT id FROM submissions WHERE ${claimableClauses}${queueFilter}
+                ORDER BY assignee_email IS NULL, submitted_at ASC, id ASC LIMIT 1
+            )`,
+            [email, expiresAt, email, email, now, ...queueParams]
+        );
+        const sub = await dbGet(`SELECT ${SUBMISSION_LIST_COLUMNS} FROM submissions WHERE claimed_by = ?`, [email]);
+        const { remaining } = await dbGet(`SELECT COUNT(*) AS remaining FROM submissions WHERE ${claimableClauses}${queueFilter}`, [email, email, now, ...queueParams]);
+        if (!sub) return res.json({ submission: null, remaining });
+        broadcastSubmission(sub.id);
+        res.json({ submission: withAudioUrls(sub, req.user.id), remaining: remaining - 1 });
+    } catch (err) {
+        console.error('[Review Queue] Failed to claim a note:', err.message);
+        res.status(500).json({ message: 'Failed to find the next note.' });
+    }
+});
+
+app.post('/api/review-queue/release', requireRole('reviewer', 'admin'), async (req, res) => {
+    try {
+        await releaseClaims(req.user.email);
+        res.json({ message: 'Claim released.' });
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to release the claim.' });
+    }
+});
+
+// AUTO-ASSIGNMENT
+// Shares new uploads between active staff who can review. round-robin picks whoever was given a note least
+// recently; least-loaded picks whoever has the fewest notes waiting, falling back to round-robin on a tie.
+function autoAssignSubmission(submissionId, filename, done) {
+    if (!AUTO_ASSIGN_POLICY) return done();
+    const order = AUTO_ASSIGN_POLICY === 'least-loaded'
+        ? 'COALESCE(waiting.count, 0), COALESCE(recent.last_id, 0), users.id'
+        : 'COALESCE(recent.last_id, 0), users.id';
+    db.get(
+        `SELECT users.email FROM users
+         LEFT JOIN (SELECT assignee_email, MAX(id) AS last_id FROM submissions WHERE id != ? GROUP BY assignee_email) AS recent ON recent.assignee_email = users.email
+         LEFT JOIN (SELECT assignee_email, COUNT(*) AS count FROM submissions WHERE status = 'Needs Reviewing' GROUP BY assignee_email) AS waiting ON waiting.assignee_email = users.email
+         WHERE users.role IN ('reviewer', 'admin') AND users.disabled = 0
+         ORDER BY ${order} LIMIT 1`,
+        [submissionId],
+        (err, reviewer) => {
+            if (err) console.error(`[Assign] Failed to pick a reviewer for ${filename}:`, err.message);
+            if (err || !reviewer) return done();
+            db.run('UPDATE submissions SET assignee_email = ? WHERE id = ?', [reviewer.email, submissionId], (updateErr) => {
+                if (updateErr) {
+                    console.error(`[Assign] Failed to assign ${filename}:`, updateErr.message);
+                    return done();
+                }
+                console.log(`[Assign] ${filename} assigned to ${reviewer.email} (${AUTO_ASSIGN_POLICY})`);
+                recordAudit(null, 'assigned', { submissionId, target: filename, after: { assignee_email: reviewer.email, policy: AUTO_ASSIGN_POLICY } });
+                done();
+            });
+        }
+    );
+}
+
+// EXPORTS
+// Approved notes are zipped by a background job, one job at a time, with progress pushed over Socket.IO.
+// The ZIP stays downloadable for EXPORT_RETENTION_HOURS; notes only become Downloaded once a transfer completes.
+const EXPORT_MANIFEST_COLUMNS = ['campaign', 'filename', 'first_name', 'postcode_district', 'submitted_at', 'approved_at', 'approved_by', 'duration_seconds', 'tags'];
+const exportQueue = [];
+let exportRunning = false;
+
+const exportPath = (jobId) => path.join(exportsDir, `export-${jobId}.zip`);
+
+function emitExportProgress(job) {
+    io.emit('export_progress', { id: job.id, status: job.status, processed: job.processed, total: job.total, error: job.error || null });
+}
+
+function enqueueExport(jobId) {
+    exportQueue.push(jobId);
+    runNextExport();
+}
+
+function runNextExport() {
+    if (exportRunning || exportQueue.length === 0) return;
+    exportRunning = true;
+    const jobId = exportQueue.shift();
+    runExportJob(jobId)
+        .catch(async (err) => {
+            console.error(`[Export] Job #${jobId} failed:`, err.message);
+            fs.rm(exportPath(jobId), { force: true }, () => {});
+            await dbRun(`UPDATE export_jobs SET status = 'failed', error = ? WHERE id = ?`, [err.message, jobId]).catch(() => {});
+            emitExportProgress({ id: jobId, status: 'failed', processed: 0, total: 0, error: err.message });
+        })
+        .finally(() => {
+            exportRunning = false;
+            runNextExport();
+        });
+}
+
+async function runExportJob(jobId) {
+    const job = await dbGet('SELECT * FROM export_jobs WHERE id = ?', [jobId]);
+    const ids = JSON.parse(job.submission_ids);
+    const subs = await dbAll(
+        `SELECT submissions.*, (SELECT MAX(created_at) FROM status_history WHERE submission_id = submissions.id AND to_status = 'Approved') AS approved_at,
+            campaigns.slug AS campaign_slug
+         FROM submissions LEFT JOIN campaigns ON campaigns.id = submissions.campaign_id
+         WHERE submissions.id IN (${ids.map(() => '?').join(',')}) AND status = 'Approved' ORDER BY submitted_at ASC`,
+        ids
+    );
+    Object.assign(job, { status: 'running', processed: 0, total: subs.length });
+    await dbRun(`UPDATE export_jobs SET status = 'running', total = ? WHERE id = ?`, [job.total, jobId]);
+    emitExportProgress(job);
+
+    const output = fs.createWriteStream(exportPath(jobId));
+    const archive = archiver('zip');
+    const written = new Promise((resolve, reject) => {
+        output.on('close', resolve);
+        archive.on('error', reject);
+    });
+    // An archive error is picked up where `written` is awaited; this stops it counting as unhandled in the meantime.
+    written.catch(() => {});
+    archive.pipe(output);
+
+    archive.on('entry', () => {
+        job.processed = Math.min(job.processed + 1, job.total);
+        emitExportProgress(job);
+    });
+
+    // Missing files are listed in the job and the manifest instead of being skipped silently.
+    // Files are added one at a time so only one storage download is open at once.
+    // An export that spans campaigns keeps each campaign's notes in its own folder.
+    const byCampaign = new Set(subs.map(sub => sub.campaign_slug)).size > 1;
+    const included = [];
+    const missing = [];
+    for (const sub of subs) {
+        const key = sub.audio_key && storageKey('uploads', sub.audio_key);
+        if (!key || !(await audioStorage.stat(key))) {
+            missing.push(sub.filename);
+            continue;
+        }
+        const added = new Promise(resolve => archive.once('entry', resolve));
+        archive.append(await audioStorage.createReadStream(key), { name: byCampaign ? `${sub.campaign_slug}/${sub.filename}` : sub.filename });
+        await Promise.race([added, written]);
+        included.push(sub);
+    }
+
+    const manifest = included.map(sub => ({
+        campaign: sub.campaign_slug,
+        filename: sub.filename,
+        first_name: sub.first_name,
+        postcode_district: sub.postcode_district,
+        submitted_at: sub.submitted_at,
+        approved_at: sub.approved_at || sub.status_changed_at,
+        approved_by: sub.approved_by,
+        duration_seconds: sub.duration_seconds,
+        tags: sub.tags ? sub.tags.split(',') : []
+    }));
+    const csvRows = manifest.map(row => EXPORT_MANIFEST_COLUMNS.map(col => toCsvValue(col === 'tags' ? row.tags.join('; ') : row[col])).join(','));
+    archive.append([EXPORT_MANIFEST_COLUMNS.join(','), ...csvRows].join('\n'), { name: 'manifest.csv' });
+    archive.append(JSON.stringify({ exportId: jobId, createdAt: job.created_at, createdBy: job.created_by, submissions: manifest, missing }, null, 2), { name: 'manifest.json' });
+    archive.finalize();
+    await written;
+
+    const completedAt = new Date();
+    const expiresAt = new Date(completedAt.getTime() + EXPORT_RETENTION_HOURS * 60 * 60 * 1000);
+    Object.assign(job, { status: 'ready', processed: job.total });
+    await dbRun(
+        `UPDATE export_jobs SET status = 'ready', processed = ?, submission_ids = ?, missing = ?, size_bytes = ?, completed_at = ?, expires_at = ? WHERE id = ?`,
+        [job.total, JSON.stringify(included.map(sub => sub.id)), JSON.stringify(missing), archive.pointer(), completedAt.toISOString(), expiresAt.toISOString(), jobId]
+    );
+    console.log(`[Export] Job #${jobId} ready: ${included.length} files${missing.length ? `, ${missing.length} missing` : ''}`);
+    emitExportProgress(job);
+}
+
+function expireExport(job, reason) {
+    fs.rm(exportPath(job.id), { force: true }, () => {});
+    db.run(`UPDATE export_jobs SET status = 'expired', error = ? WHERE id = ?`, [reason, job.id], (err) => {
+        if (err) console.error(`[Export] Failed to expire job #${job.id}:`, err.message);
+    });
+}
+
+// Run alongside the retention job. An export holding a withdrawn note goes at once, whatever its expiry.
+function cleanUpExports(runAt, withdrawnIds = []) {
+    db.all(`SELECT id, submission_ids, expires_at FROM export_jobs WHERE status = 'ready'`, [], (err, jobs) => {
+        if (err) return console.error('[Export] Failed to find old exports:', err.message);
+        jobs.forEach(job => {
+            if (job.expires_at <= runAt) return expireExport(job, 'Expired');
+            const ids = JSON.parse(job.submission_ids);
+            if (withdrawnIds.some(id => ids.includes(id))) expireExport(job, 'Removed because a contributor withdrew a note in it.');
+        });
+    });
+}
+
+// With `campaign` set, only that campaign's notes go into the export.
+app.post('/api/exports', requireRole('admin'), (req, res) => {
+    const requested = Array.isArray(req.body.filenames) ? req.body.filenames : [];
+    if (requested.length === 0) return res.status(400).json({ message: 'No filenames provided.' });
+    const campaignId = req.body.campaign && req.body.campaign !== 'all' ? Number(req.body.campaign) : null;
+
+    // Only approved notes can be exported. In particular, withdrawn notes must never leave the server,
+    // even if a stale dashboard still lists them.
+    const placeholders = requested.map(() => '?').join(',');
+    const campaignClause = campaignId ? ' AND campaign_id = ?' : '';
+    db.all(`SELECT id FROM submissions WHERE filename IN (${placeholders}) AND status = 'Approved'${campaignClause}`, campaignId ? [...requested, campaignId] : requested, (lookupErr, rows) => {
+        if (lookupErr) return res.status(500).json({ message: 'Failed to start export.' });
+        if (rows.length === 0) return res.status(400).json({ message: 'None of the selected submissions can be downloaded.' });
+        const ids = rows.map(row => row.id);
+        db.run(
+            `INSERT INTO export_jobs (created_by, created_at, status, submission_ids, total, campaign_id) VALUES (?, ?, 'queued', ?, ?, ?)`,
+            [req.user.email, new Date().toISOString(), JSON.stringify(ids), ids.length, campaignId],
+            function(err) {
+                if (err) return res.status(500).json({ message: 'Failed to start export.' });
+                console.log(`[Export] Job #${this.lastID} queued for ${ids.length} files by user: ${req.user.email}`);
+                recordAudit(req, 'export_created', { after: { exportId: this.lastID, submissions: ids.length, campaignId } });
+                enqueueExport(this.lastID);
+                res.status(202).json({ id: this.lastID, total: ids.length, skipped: requested.length - ids.length });
+            }
+        );
+    });
+});
+
+app.get('/api/exports', requireRole('admin'), (req, res) => {
+    db.all(`SELECT id, created_by, created_at, status, total, processed, missing, size_bytes, error, completed_at, expires_at, downloaded_at,
+            (SELECT name FROM campaigns WHERE id = export_jobs.campaign_id) AS campaign_name
+            FROM export_jobs ORDER BY id DESC LIMIT 20`, [], (err, rows) => {
+        if (err) return res.status(500).json({ message: 'Failed to retrieve exports.' });
+        res.json(rows.map(row => ({ ...row, missing: row.missing ? JSON.parse(row.missing) : [] })));
+    });
+});
+
+app.get('/api/exports/:id/download', requireRole('admin'), (req, res) => {
+    db.get(`SELECT export_jobs.*, (SELECT slug FROM campaigns WHERE id = export_jobs.campaign_id) AS campaign_slug FROM export_jobs WHERE id = ?`, [req.params.id], (err, job) => {
+        if (err) return res.status(500).json({ message: 'Failed to retrieve export.' });
+        if (!job) return res.status(404).json({ message: 'Export not found.' });
+        if (job.status !== 'ready') return res.status(409).json({ message: `This export is ${job.status}.` });
+
+        const ip = req.ip;
+        const userEmail = req.user.email;
+        res.download(exportPath(job.id), `approved-voicenotes-${job.campaign_slug ? `${job.campaign_slug}-` : ''}${job.id}.zip`, (downloadErr) => {
+            // An aborted transfer lands here with an error and leaves the notes as they were.
+            if (downloadErr) return console.log(`[Export] Download of job #${job.id} did not complete: ${downloadErr.message}`);
+            recordAudit(req, 'export_downloaded', { actor: userEmail, ip, after: { exportId: job.id } });
+            if (job.downloaded_at) return;
+            db.run(`UPDATE export_jobs SET downloaded_at = ? WHERE id = ?`, [new Date().toISOString(), job.id]);
+            markExportDownloaded(req, job, userEmail, ip);
+        });
+    });
+});
+
+function markExportDownloaded(req, job, userEmail, ip) {
+    const ids = JSON.parse(job.submission_ids);
+    if (ids.length === 0) return;
+    db.all(`SELECT id, filename, status FROM submissions WHERE id IN (${ids.map(() => '?').join(',')})`, ids, (err, subs) => {
+        if (err) return console.error(`[Export] Failed to load notes for job #${job.id}:`, err.message);
+        const sentAt = new Date().toISOString();
+        // Notes that moved on since the export was built (binned, withdrawn...) are left alone.
+        subs.filter(sub => sub.status === 'Approved').forEach(sub => {
+            transitionSubmission(sub, 'download', userEmail, { sent_at: sentAt }, (transitionErr) => {
+                if (transitionErr) return console.error(`Download status update error for ${sub.filename}:`, transitionErr.message);
+                recordAudit(req, 'downloaded', {
+                    submissionId: sub.id, target: sub.filename, actor: userEmail, ip,
+                    before: { status: sub.status }, after: { status: 'Downloaded' }
+                });
+                broadcastSubmission(sub.id, { previousStatus: sub.status });
+            });
+        });
+        console.log(`[Action] Export #${job.id} downloaded by user: ${userEmail}`);
+    });
+}
+
+
+// SPOTIFY PUBLISHING QUEUE API
+app.post('/api/publish/token', requireRole('admin'), (req, res) => {
+    const token = jwt.sign(
+        { scope: 'publisher', userId: req.session.userId, email: req.session.userEmail },
+        JWT_SECRET,
+        { expiresIn: PUBLISHER_TOKEN_TTL }
+    );
+    console.log(`[Action] Publisher token issued to user: ${req.session.userEmail}`);
+    recordAudit(req, 'publisher_token_issued');
+    res.json({ token, expiresIn: PUBLISHER_TOKEN_TTL });
+});
+
+// Episodes are titled the same way as in the podcast feed. The filename is never sent: it holds the contributor's
+// first name and postcode, and the extension would publish it.
+app.get('/api/publish/queue', requirePublisherToken, (req, res) => {
+    db.all(`SELECT id, submitted_at, approved_by, tags, (SELECT name FROM campaigns WHERE id = submissions.campaign_id) AS campaign_name,
+            (SELECT text FROM prompts WHERE id = submissions.prompt_id) AS prompt_text
+        FROM submissions WHERE status = 'Approved' ORDER BY submitted_at ASC`, [], (err, rows) => {
+        if (err) return res.status(500).json({ message: 'Failed to retrieve publishing queue.' });
+        res.json(rows.map(({ campaign_name, prompt_text, ...row }) => ({
+            ...row,
+            title: episodeTitle({ id: row.id, campaign_name }),
+            description: episodeDescription({ prompt_text }),
+            tags: row.tags ? row.tags.split(',') : [],
+            audioUrl: `/api/publish/audio/${row.id}`
+        })));
+    });
+});
+
+app.get('/api/publish/audio/:id', requirePublisherToken, (req, res) => {
+    db.get(`SELECT audio_key FROM submissions WHERE id = ? AND status = 'Approved'`, [req.params.id], async (err, sub) => {
+        if (err) return res.status(500).json({ message: 'Failed to retrieve submission.' });
+        if (!sub) return res.status(404).json({ message: 'Submission is not in the publishing queue.' });
+        try {
+            const key = storageKey('uploads', sub.audio_key);
+            const stat = await audioStorage.stat(key);
+            if (!stat) return res.status(404).json({ message: 'Audio file is missing.' });
+            await sendAudio(req, res, { key, size: stat.size }, 'private, no-store');
+        } catch (storageErr) {
+            console.error(`[Storage] Failed to send audio for submission #${req.params.id}:`, storageErr.message);
+            if (!res.headersSent) res.status(500).json({ message: 'Failed to retrieve audio.' });
+        }
+    });
+});
+
+// The extension reports the outcome of each upload so the dashboard shows what actually reached Spotify.
+app.post('/api/publish/report', requirePublisherToken, (req, res) => {
+    const { id, success, error } = req.body;
+    if (!id) return res.status(400).json({ message: 'Submission id is required.' });
+
+    db.get('SELECT id, filename, status, audio_key FROM submissions WHERE id = ?', [id], (err, sub) => {
+        if (err) return res.status(500).json({ message: 'Failed to retrieve submission.' });
+        if (!sub) return res.status(404).json({ message: 'Submission not found.' });
+        if (sub.status !== 'Approved') return res.status(409).json({ message: `Submission is ${sub.status}, not Approved.` });
+
+        if (!success) {
+            const publishError = String(error || 'Unknown error').slice(0, 500);
+            return transitionSubmission(sub, 'publish_failed', req.publisher.email, { publish_error: publishError }, (updateErr) => {
+                if (updateErr) return res.status(updateErr.statusCode || 500).json({ message: 'Failed to record publish result.' });
+                console.log(`[Publish] ${sub.filename} failed to publish (reported by ${req.publisher.email}): ${publishError}`);
+                recordAudit(req, 'publish_failed', { submissionId: sub.id, target: sub.filename, before: { status: sub.status }, after: { status: 'Publish failed', error: publishError } });
+                broadcastSubmission(sub.id, { previousStatus: sub.status });
+                res.json({ message: 'Failure recorded.' });
+            });
+        }
+
+        // The episode is live whatever happens to the file, so a failed move still records the publish, with the
+        // problem kept as its publish error so staff can see the audio is still in uploads/.
+        audioStorage.move(storageKey('uploads', sub.audio_key), storageKey('sent_to_spotify', sub.audio_key))
+            .then(() => null, (moveErr) => {
+                console.error(`[Publish] Could not move ${sub.filename} to sent_to_spotify:`, moveErr.message);
+                return `Published, but the audio could not be moved to sent_to_spotify: ${moveErr.message}`.slice(0, 500);
+            })
+            .then(moveError => transitionSubmission(
+                sub, 'publish', req.publisher.email,
+                { published_at: new Date().toISOString(), published_by: req.publisher.email, publish_error: moveError },
+                (updateErr) => {
+                    if (updateErr) return res.status(updateErr.statusCode || 500).json({ message: 'Failed to record publish result.' });
+                    console.log(`[Publish] ${sub.filename} published to Spotify (reported by ${req.publisher.email})`);
+                    recordAudit(req, 'published', {
+                        submissionId: sub.id, target: sub.filename,
+                        before: { status: sub.status }, after: { status: 'Published', error: moveError || undefined }
+                    });
+                    broadcastSubmission(sub.id, { previousStatus: sub.status });
+                    res.json({ message: moveError ? 'Publish recorded, but the audio could not be moved to sent_to_spotify.' : 'Publish recorded.' });
+                }
+            ));
+    });
+});
+
+
+// PODCAST FEED
+const FEED_STATUSES = ['Approved', 'Downloaded', 'Published'];
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(Math.floor(total / 3600))}:${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}`;
+}
+
+// The feed is public, so episodes are named after the campaign and numbered rather than titled with the
+// filename, which holds the contributor's first name and postcode.
+const episodeTitle = (row) => `${row.campaign_name || FEED_CONFIG.title}: voice note #${row.id}`;
+const episodeDescription = (row) => row.prompt_text ? `A voice note answering “${row.prompt_text}”` : 'A voice note for the petition.';
+
+app.post('/api/feed/add', requireRole('admin'), (req, res) => {
+    const { filename } = req.body;
+    db.get('SELECT id, status, feed_guid, feed_added_at, duration_seconds, audio_key FROM submissions WHERE filename = ?', [filename], (err, sub) => {
+        if (err) return res.status(500).json({ message: 'Failed to retrieve submission.' });
+        if (!sub) return res.status(404).json({ message: 'Submission not found.' });
+        if (!FEED_STATUSES.includes(sub.status)) return res.status(409).json({ message: 'Only approved voicenotes can be added to the podcast feed.' });
+
+        // The duration was measured when the note was processed, so there's no need to fetch the file again.
+        findAudio(sub.audio_key).then((audio) => {
+            if (!audio) return res.status(404).json({ message: 'Audio file is missing.' });
+            // Keep the GUID when a note is re-added so podcast apps don't see it as a new episode.
+            const guid = sub.feed_guid || crypto.randomUUID();
+            db.run(
+                'UPDATE submissions SET feed_guid = ?, feed_added_at = ? WHERE id = ?',
+                [guid, new Date().toISOString(), sub.id],
+                (updateErr) => {
+                    if (updateErr) return res.status(500).json({ message: 'Failed to add to feed.' });
+                    console.log(`[Action] ${filename} added to the podcast feed by user: ${req.session.userEmail}`);
+                    recordAudit(req, 'feed_added', { submissionId: sub.id, target: filename, before: { feed_added_at: sub.feed_added_at }, after: { feed_guid: guid } });
+                    broadcastSubmission(sub.id);
+                    res.json({ message: 'Added to podcast feed.' });
+                }
+            );
+        }).catch(() => res.status(500).json({ message: 'Failed to add to feed.' }));
+    });
+});
+
+app.post('/api/feed/remove', requireRole('admin'), (req, res) => {
+    const { filename } = req.body;
+    db.get('SELECT id, feed_added_at FROM submissions WHERE filename = ?', [filename], (lookupErr, sub) => {
+        if (lookupErr) return res.status(500).json({ message: 'Failed to remove from feed.' });
+        if (!sub) return res.status(404).json({ message: 'Submission not found.' });
+        db.run('UPDATE submissions SET feed_added_at = NULL WHERE id = ?', [sub.id], function(err) {
+            if (err) return res.status(500).json({ message: 'Failed to remove from feed.' });
+            console.log(`[Action] ${filename} removed from the podcast feed by user: ${req.session.userEmail}`);
+            recordAudit(req, 'feed_removed', { submissionId: sub.id, target: filename, before: { feed_added_at: sub.feed_added_at }, after: { feed_added_at: null } });
+            broadcastSubmission(sub.id);
+            res.json({ message: 'Removed from podcast feed.' });
+        });
+    });
+});
+
+app.get('/feed.xml', (req, res) => {
+    const baseUrl = FEED_CONFIG.baseUrl || `${req.protocol}://${req.get('host')}`;
+    const statusPlaceholders = FEED_STATUSES.map(() => '?').join(',');
+    db.all(
+        `SELECT id, audio_key, feed_guid, feed_added_at, duration_seconds, (SELECT name FROM campaigns WHERE id = submissions.campaign_id) AS campaign_name,
+                (SELECT text FROM prompts WHERE id = submissions.prompt_id) AS prompt_text
+            FROM submissions WHERE feed_added_at IS NOT NULL AND status IN (${statusPlaceholders}) ORDER BY feed_added_at DESC`,
+        FEED_STATUSES,
+        async (err, rows) => {
+            if (err) return res.status(500).json({ message: 'Failed to build feed.' });
+            let found;
+            try {
+                found = await Promise.all(rows.map(row => findAudio(row.audio_key)));
+            } catch (storageErr) {
+                return res.status(500).json({ message: 'Failed to build feed.' });
+            }
+
+            const items = rows.map((row, index) => {
+                if (!found[index]) return null;
+                const { size } = found[index];
+                return `
+        <item>
+            <title>${escapeXml(episodeTitle(row))}</title>
+            <description>${escapeXml(episodeDescription(row))}</description>
+            <guid isPermaLink="false">${escapeXml(row.feed_guid)}</guid>
+            <pubDate>${new Date(row.feed_added_at).toUTCString()}</pubDate>
+            <enclosure url="${escapeXml(`${baseUrl}/feed/audio/${row.feed_guid}.mp3`)}" length="${size}" type="audio/mpeg"/>
+            ${row.duration_seconds ? `<itunes:duration>${formatDuration(row.duration_seconds)}</itunes:duration>` : ''}
+            <itunes:episodeType>full</itunes:episodeType>
+            <itunes:explicit>${FEED_CONFIG.explicit ? 'true' : 'false'}</itunes:explicit>
+        </item>`;
+            }).filter(Boolean).join('');
+
+            const artworkUrl = `${baseUrl}/images/${encodeURIComponent(FEED_CONFIG.artwork)}`;
+            const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" xmlns:podcast="https://podcastindex.org/namespace/1.0" xmlns:atom="http://www.w3.org/2005/Atom">
+    <channel>
+        <title>${escapeXml(FEED_CONFIG.title)}</title>
+        <link>${escapeXml(baseUrl)}</link>
+        <atom:link href="${escapeXml(`${baseUrl}/feed.xml`)}" rel="self" type="application/rss+xml"/>
+        <description>${escapeXml(FEED_CONFIG.description)}</description>
+        <language>${escapeXml(FEED_CONFIG.language)}</language>
+        <image>
+            <url>${escapeXml(artworkUrl)}</url>
+            <title>${escapeXml(FEED_CONFIG.title)}</title>
+            <link>${escapeXml(baseUrl)}</link>
+        </image>
+        <itunes:author>${escapeXml(FEED_CONFIG.author)}</itunes:author>
+        <itunes:owner>
+            <itunes:name>${escapeXml(FEED_CONFIG.ownerName)}</itunes:name>
+            <itunes:email>${escapeXml(FEED_CONFIG.ownerEmail)}</itunes:email>
+        </itunes:owner>
+        <itunes:image href="${escapeXml(artworkUrl)}"/>
+        <itunes:category text="${escapeXml(FEED_CONFIG.category)}"/>
+        <itunes:explicit>${FEED_CONFIG.explicit ? 'true' : 'false'}</itunes:explicit>
+        <itunes:type>episodic</itunes:type>
+        <podcast:locked owner="${escapeXml(FEED_CONFIG.ownerEmail)}">yes</podcast:locked>
+        ${FEED_CONFIG.guid ? `<podcast:guid>${escapeXml(FEED_CONFIG.guid)}</podcast:guid>` : ''}${items}
+    </channel>
+</rss>`;
+            res.type('application/rss+xml').send(xml);
+        }
+    );
+});
+
+// Enclosures are addressed by GUID so only notes currently in the feed are reachable.
+app.get('/feed/audio/:file', (req, res) => {
+    const guid = req.params.file.replace(/\.mp3$/, '');
+    const statusPlaceholders = FEED_STATUSES.map(() => '?').join(',');
+    db.get(
+        `SELECT audio_key FROM submissions WHERE feed_guid = ? AND feed_added_at IS NOT NULL AND status IN (${statusPlaceholders})`,
+        [guid, ...FEED_STATUSES],
+        async (err, sub) => {
+            if (err) return res.status(500).json({ message: 'Failed to retrieve episode.' });
+            try {
+                const audio = sub && await findAudio(sub.audio_key);
+                if (!audio) return res.status(404).json({ message: 'Episode not found.' });
+                await sendAudio(req, res, audio, 'public, max-age=3600');
+            } catch (storageErr) {
+                console.error(`[Storage] Failed to stream episode ${guid}:`, storageErr.message);
+                if (!res.headersSent) res.status(500).json({ message: 'Failed to retrieve episode.' });
+            }
+        }
+    );
+});
+
+
+// CAMPAIGN ANALYTICS
+// Statuses that count as a yes from review, whatever happened to the note afterwards.
+const APPROVED_STATUSES = ['Approved', 'Downloaded', 'Published', 'Publish failed'];
+// Of the notes that have been decided, the share approved.
+const approvalRate = (approved, binned) => approved + binned ? approved / (approved + binned) : null;
+
+// Columns for each report, which double as the CSV headers when it is exported.
+const ANALYTICS_REPORTS = {
+    daily: ['day', 'submissions', 'approved', 'binned'],
+    outcomes: ['status', 'count'],
+    reviewers: ['reviewer', 'assigned', 'open_assigned', 'approved', 'binned', 'median_turnaround_hours'],
+    areas: ['area', 'name', 'region', 'submissions', 'approved'],
+    regions: ['region', 'submissions', 'approved'],
+    prompts: ['prompt_id', 'prompt', 'retired', 'submissions', 'approved', 'binned', 'approval_rate']
+};
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Postcode areas are the leading letters of the district (NW1 -> NW, B15 -> B).
+function postcodeArea(district) {
+    const match = /^[A-Z]{1,2}/.exec(district || '');
+    return match && postcodeAreas[match[0]] ? match[0] : null;
+}
+
+// Everything is limited to notes submitted between `from` and `to` (YYYY-MM-DD, both optional),
+// and to one campaign if `campaign` is set.
+async function buildAnalytics({ from, to, campaign }) {
+    const { clauses, params } = buildSubmissionFilters({ from, to, campaign });
+    const where = (extra = []) => {
+        const all = [...clauses, ...extra];
+        return all.length > 0 ? ` WHERE ${all.join(' AND ')}` : '';
+    };
+    const approvedIn = `status IN (${APPROVED_STATUSES.map(() => '?').join(',')})`;
+
+    const daily = await dbAll(
+        `SELECT substr(submitted_at, 1, 10) AS day, COUNT(*) AS submissions, SUM(${approvedIn}) AS approved, SUM(status = 'Binned') AS binned
+         FROM submissions${where(['submitted_at IS NOT NULL'])} GROUP BY day ORDER BY day`,
+        [...APPROVED_STATUSES, ...params]
+    );
+    const outcomes = await dbAll(`SELECT status, COUNT(*) AS count FROM submissions${where()} GROUP BY status ORDER BY count DESC`, params);
+    // Notes sent before the recorder recorded the question, or without asking for one, aren't counted here.
+    const prompts = await dbAll(
+        `SELECT prompt_id, (SELECT text FROM prompts WHERE id = prompt_id) AS prompt, (SELECT retired_at IS NOT NULL FROM prompts WHERE id = prompt_id) AS retired,
+            COUNT(*) AS submissions, SUM(${approvedIn}) AS approved, SUM(status = 'Binned') AS binned
+         FROM submissions${where(['prompt_id IS NOT NULL'])} GROUP BY prompt_id ORDER BY submissions DESC`,
+        [...APPROVED_STATUSES, ...params]
+    );
+
+    // Turnaround is the time from upload to the first approve or bin, credited to whoever made that call.
+    const decisions = await dbAll(
+        `SELECT h.submission_id, h.actor, h.transition, h.created_at, submissions.submitted_at
+         FROM status_history h JOIN submissions ON submissions.id = h.submission_id${where(["h.transition IN ('approve', 'bin')"])}
+         ORDER BY h.created_at ASC, h.id ASC`,
+        params
+    );
+    const assigned = await dbAll(
+        `SELECT assignee_email, COUNT(*) AS assigned, SUM(status = 'Needs Reviewing') AS open_assigned FROM submissions${where(['assignee_email IS NOT NULL'])} GROUP BY assignee_email`,
+        params
+    );
+    const reviewers = {};
+    const reviewer = (email) => reviewers[email] || (reviewers[email] = { reviewer: email, assigned: 0, open_assigned: 0, approved: 0, binned: 0, turnarounds: [] });
+    assigned.forEach(row => Object.assign(reviewer(row.assignee_email), { assigned: row.assigned, open_assigned: row.open_assigned }));
+    const decided = new Set();
+    decisions.forEach(row => {
+        const entry = reviewer(row.actor);
+        if (row.transition === 'approve') entry.approved++;
+        else entry.binned++;
+        if (decided.has(row.submission_id) || !row.submitted_at) return;
+        decided.add(row.submission_id);
+        entry.turnarounds.push((new Date(row.created_at) - new Date(row.submitted_at)) / 3600000);
+    });
+    const allTurnarounds = Object.values(reviewers).flatMap(entry => entry.turnarounds);
+    const roundHours = (hours) => hours === null ? null : Math.round(hours * 10) / 10;
+
+    const districts = await dbAll(
+        `SELECT postcode_district, COUNT(*) AS submissions, SUM(${approvedIn}) AS approved FROM submissions${where()} GROUP BY postcode_district`,
+        [...APPROVED_STATUSES, ...params]
+    );
+    const areas = {};
+    const regions = {};
+    districts.forEach(row => {
+        const code = postcodeArea(row.postcode_district);
+        const info = code ? postcodeAreas[code] : { name: 'Unknown', region: 'Unknown' };
+        const area = areas[code || 'Unknown'] || (areas[code || 'Unknown'] = { area: code || 'Unknown', name: info.name, region: info.region, submissions: 0, approved: 0 });
+        const region = regions[info.region] || (regions[info.region] = { region: info.region, submissions: 0, approved: 0 });
+        area.submissions += row.submissions;
+        area.approved += row.approved;
+        region.submissions += row.submissions;
+        region.approved += row.approved;
+    });
+
+    const countOf = (statuses) => outcomes.filter(row => statuses.includes(row.status)).reduce((sum, row) => sum + row.count, 0);
+    const approvedCount = countOf(APPROVED_STATUSES);
+    const binnedCount = countOf(['Binned']);
+    const decidedCount = approvedCount + binnedCount;
+    const bySubmissions = (a, b) => b.submissions - a.submissions;
+
+    return {
+        summary: {
+            submissions: outcomes.reduce((sum, row) => sum + row.count, 0),
+            approved: approvedCount,
+            binned: binnedCount,
+            approval_rate: approvalRate(approvedCount, binnedCount),
+            bin_rate: decidedCount ? binnedCount / decidedCount : null,
+            median_turnaround_hours: roundHours(median(allTurnarounds))
+        },
+        daily,
+        outcomes,
+        reviewers: Object.values(reviewers)
+            .map(({ turnarounds, ...entry }) => ({ ...entry, median_turnaround_hours: roundHours(median(turnarounds)) }))
+            .sort((a, b) => (b.approved + b.binned) - (a.approved + a.binned)),
+        areas: Object.values(areas).sort(bySubmissions),
+        regions: Object.values(regions).sort(bySubmissions),
+        prompts: prompts.map(row => ({ ...row, retired: Boolean(row.retired), approval_rate: approvalRate(row.approved, row.binned) }))
+    };
+}
+
+app.get('/api/analytics', requireLogin, async (req, res) => {
+    try {
+        res.json(await buildAnalytics(req.query));
+    } catch (err) {
+        console.error('[Analytics] Failed to build report:', err.message);
+        res.status(500).json({ message: 'Failed to build analytics.' });
+    }
+});
+
+// GET /api/analytics/export?report=daily&from=&to= downloads one report as CSV.
+app.get('/api/analytics/export', requireLogin, async (req, res) => {
+    const columns = ANALYTICS_REPORTS[req.query.report];
+    if (!columns) return res.status(400).json({ message: `Unknown report. Choose one of: ${Object.keys(ANALYTICS_REPORTS).join(', ')}.` });
+    try {
+        const rows = (await buildAnalytics(req.query))[req.query.report];
+        const lines = [columns.join(',')].concat(rows.map(row => columns.map(col => toCsvValue(row[col])).join(',')));
+        res.attachment(`${req.query.report}-${new Date().toISOString().slice(0, 10)}.csv`);
+        res.type('text/csv').send(lines.join('\n'));
+    } catch (err) {
+        console.error('[Analytics] Failed to export report:', err.message);
+        res.status(500).json({ message: 'Failed to export analytics.' });
+    }
+});
+
+
+// PUBLIC WITHDRAWAL API
+// Limited like uploads, so receipt codes can't be guessed by trying them one after another.
+const allowWithdrawalFromIp = createRateLimiter(UPLOAD_RATE_WINDOW_MS, UPLOAD_RATE_MAX_PER_IP);
+
+app.post('/api/withdraw', (req, res) => {
+    if (!allowWithdrawalFromIp(req.ip)) {
+        console.log(`[Withdrawal] Rate limit reached for ${req.ip}`);
+        return res.status(429).json({ message: 'Too many withdrawal requests have been sent from here recently. Please try again later.' });
+    }
+    const { receiptCode, firstName, postcode } = req.body;
+    const notFound = () => res.status(404).json({ message: "We couldn't find a voice note matching those details. Please check your receipt code." });
+    if (!receiptCode) return res.status(400).json({ message: 'Please enter your receipt code.' });
+
+    const code = String(receiptCode).trim().toUpperCase();
+    db.get('SELECT id, filename, status, first_name, postcode_district FROM submissions WHERE receipt_code = ?', [code], (err, sub) => {
+        if (err) return res.status(500).json({ message: 'Something went wrong. Please try again later.' });
+        if (!sub) return notFound();
+
+        // Name and postcode are optional, but if given they must match what was submitted.
+        // Names are compared on letters and digits only, since older notes had punctuation replaced.
+        const comparableName = (name) => String(name || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+        if (firstName && comparableName(firstName) !== comparableName(sub.first_name)) return notFound();
+        if (postcode && String(postcode).replace(/\s/g, '').toUpperCase() !== sub.postcode_district) return notFound();
+
+        if (sub.status === 'Withdrawn') return res.status(200).json({ message: 'This voice note has already been withdrawn and is queued for deletion.' });
+        if (sub.status === 'Expired') return res.status(200).json({ message: 'This voice note has already been deleted, as it reached the end of its retention period.' });
+
+        const now = new Date().toISOString();
+        transitionSubmission(sub, 'withdraw', 'contributor', { withdrawn_at: now, assignee_email: null }, (updateErr) => {
+            if (updateErr) {
+                // A 409 means the note changed while this ran, for example staff approving it; trying again will work.
+                return res.status(updateErr.statusCode || 500).json({ message: updateErr.statusCode
+                    ? 'Your voice note was being updated at the same moment. Please send your request again.'
+                    : 'Something went wrong. Please try again later.' });
+            }
+            db.run('INSERT INTO withdrawal_requests (submission_id, receipt_code, requested_at) VALUES (?, ?, ?)', [sub.id, code, now], (logErr) => {
+                if (logErr) console.error('[Withdrawal] Failed to record request:', logErr.message);
+            });
+            console.log(`[Withdrawal] Submission #${sub.id} withdrawn by contributor and queued for erasure.`);
+            recordAudit(req, 'withdrawn', { submissionId: sub.id, actor: 'contributor', ip: null, before: { status: sub.status }, after: { status: 'Withdrawn' } });
+            broadcastSubmission(sub.id, { previousStatus: sub.status });
+            res.status(200).json({ message: 'Your voice note has been withdrawn. It will no longer be used and will be permanently deleted shortly.' });
+        });
+    });
+});
+
+
+// CAMPAIGNS
+// Each campaign is its own voice petition: copy, branding, consent text, prompts, recording limit and the
+// dates it is open. Editing the consent text adds a new version; every note keeps the version its contributor agreed to.
+const CAMPAIGN_SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,48}[a-z0-9])?$/;
+
+// With no slug, the campaign shown at `/`.
+function findCampaign(slug) {
+    if (slug) return dbGet('SELECT * FROM campaigns WHERE slug = ?', [slug]);
+    return dbGet('SELECT * FROM campaigns ORDER BY slug = ? DESC, id ASC LIMIT 1', [DEFAULT_CAMPAIGN_SLUG]);
+}
+
+function campaignIsOpen(campaign, now = new Date().toISOString()) {
+    return (!campaign.opens_at || campaign.opens_at <= now) && (!campaign.closes_at || campaign.closes_at > now);
+}
+
+const maxRecordingSeconds = (campaign) => Math.min(MAX_UPLOAD_SECONDS, campaign.recording_seconds + RECORDING_GRACE_SECONDS);
+
+// Checks a new upload's campaign and the consent version it was agreed under. Contributors must have
+// agreed to the consent text the campaign shows now; the recorder page asks again if it has changed.
+async function campaignForUpload(slug, consentVersion) {
+    const campaign = await findCampaign(slug ? String(slug) : null);
+    if (!campaign) throw workflowError(404, 'This voice petition could not be found.');
+    if (!campaignIsOpen(campaign)) throw workflowError(403, 'This voice petition is not accepting voice notes right now.');
+    if (!consentVersion) throw workflowError(400, 'Consent is required before submitting a voice note.');
+    if (String(consentVersion) !== campaign.consent_version) {
+        throw workflowError(400, 'Your consent could not be matched to this petition. Please reload the page and try again.');
+    }
+    return campaign;
+}
+
+const campaignFromRow = ({ prompts, ...row }) => ({ ...row, logos: JSON.parse(row.logos || '[]') });
+
+const optionalText = (value, max) => value ? String(value).trim().slice(0, max) : null;
+
+function optionalDate(value, label) {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) throw workflowError(400, `${label} is not a valid date.`);
+    return date.toISOString();
+}
+
+// Validates the campaign form. Throws a 400 describing the first problem found.
+function parseCampaignInput(body) {
+    const slug = String(body.slug || '').trim().toLowerCase();
+    const name = optionalText(body.name, 100);
+    if (!name) throw workflowError(400, 'Campaigns need a name.');
+    if (!CAMPAIGN_SLUG_PATTERN.test(slug)) throw workflowError(400, 'The web address may only use lower-case letters, numbers and hyphens.');
+    const consent = String(body.consent || '').trim();
+    if (!consent) throw workflowError(400, 'Campaigns need consent text.');
+    if (consent.length > 10000) throw workflowError(400, 'The consent text is too long.');
+
+    const logos = (Array.isArray(body.logos) ? body.logos : []).slice(0, 4).map(logo => ({
+        src: String(logo.src || '').trim(),
+        alt: String(logo.alt || '').trim().slice(0, 100)
+    }));
+    // Logos are shown on a public page, so only site images and https addresses are allowed.
+    if (logos.some(logo => !/^(\/images\/|https:\/\/)/.test(logo.src))) throw workflowError(400, 'Logos must be under /images/ or an https:// address.');
+    const brandColor = body.brand_color ? String(body.brand_color).trim() : null;
+    if (brandColor && !/^#[0-9a-fA-F]{6}$/.test(brandColor)) throw workflowError(400, 'The brand colour must look like #4f46e5.');
+
+    const recordingSeconds = parseInt(body.recording_seconds, 10);
+    const longest = MAX_UPLOAD_SECONDS - RECORDING_GRACE_SECONDS;
+    if (!(recordingSeconds >= 10 && recordingSeconds <= longest)) throw workflowError(400, `Recordings must be allowed between 10 and ${longest} seconds.`);
+    const countdownSeconds = parseInt(body.countdown_seconds, 10);
+    if (!(countdownSeconds >= 0 && countdownSeconds <= 10)) throw workflowError(400, 'The countdown must be between 0 and 10 seconds.');
+    const opensAt = optionalDate(body.opens_at, 'The opening date');
+    const closesAt = optionalDate(body.closes_at, 'The closing date');
+    if (opensAt && closesAt && closesAt <= opensAt) throw workflowError(400, 'The campaign must close after it opens.');
+
+    return {
+        slug, name, consent, opensAt, closesAt, recordingSeconds, countdownSeconds, brandColor,
+        logos: logos.filter(logo => logo.src),
+        heading: optionalText(body.heading, 200),
+        subheading: optionalText(body.subheading, 200),
+        intro: optionalText(body.intro, 1000),
+        openingLine: optionalText(body.opening_line, 300)
+    };
+}
+
+// Versions are `<year>-<month>-v<n>`, the format the original consent page used.
+async function addConsentVersion(campaignId, body, actor) {
+    const { count } = await dbGet('SELECT COUNT(*) AS count FROM campaign_consents WHERE campaign_id = ?', [campaignId]);
+    const version = `${new Date().toISOString().slice(0, 7)}-v${count + 1}`;
+    await dbRun('INSERT INTO campaign_consents (campaign_id, version, body, created_at, created_by) VALUES (?, ?, ?, ?, ?)',
+        [campaignId, version, body, new Date().toISOString(), actor]);
+    return version;
+}
+
+const CAMPAIGN_COLUMNS = ['slug', 'name', 'heading', 'subheading', 'intro', 'opening_line', 'logos', 'brand_color', 'recording_seconds', 'countdown_seconds', 'opens_at', 'closes_at'];
+const campaignColumnValues = (input) => [input.slug, input.name, input.heading, input.subheading, input.intro, input.openingLine, JSON.stringify(input.logos),
+    input.brandColor, input.recordingSeconds, input.countdownSeconds, input.opensAt, input.closesAt];
+
+const campaignWriteError = (res, err) => {
+    if (err.statusCode) return res.status(err.statusCode).json({ message: err.message });
+    if (/UNIQUE/.test(err.message)) return res.status(409).json({ message: 'Another campaign already uses that web address.' });
+    console.error('[Campaigns] Failed to save campaign:', err.message);
+    res.status(500).json({ message: 'Failed to save the campaign.' });
+};
+
+app.get('/api/campaigns', requireLogin, (req, res) => {
+    db.all(`SELECT campaigns.*, (SELECT COUNT(*) FROM submissions WHERE campaign_id = campaigns.id AND purged_at IS NULL) AS submission_count
+            FROM campaigns ORDER BY name COLLATE NOCASE`, [], (err, rows) => {
+        if (err) return res.status(500).json({ message: 'Failed to retrieve campaigns.' });
+        const now = new Date().toISOString();
+        res.json(rows.map(row => ({ ...campaignFromRow(row), is_open: campaignIsOpen(row, now) })));
+    });
+});
+
+// One campaign with its current consent text and every earlier version.
+app.get('/api/campaigns/:id', requireLogin, async (req, res) => {
+    try {
+        const campaign = await dbGet('SELECT * FROM campaigns WHERE id = ?', [req.params.id]);
+        if (!campaign) return res.status(404).json({ message: 'Campaign not found.' });
+        const consents = await dbAll('SELECT version, body, created_at, created_by FROM campaign_consents WHERE campaign_id = ? ORDER BY id DESC', [campaign.id]);
+        const current = consents.find(consent => consent.version === campaign.consent_version);
+        res.json({ ...campaignFromRow(campaign), consent: current ? current.body : '', consent_versions: consents });
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to retrieve the campaign.' });
+    }
+});
+
+app.post('/api/campaigns', requireRole('admin'), async (req, res) => {
+    try {
+        const input = parseCampaignInput(req.body);
+        const now = new Date().toISOString();
+        const { lastID } = await dbRun(
+            `INSERT INTO campaigns (${CAMPAIGN_COLUMNS.join(', ')}, created_at, created_by, updated_at) VALUES (${CAMPAIGN_COLUMNS.map(() => '?').join(', ')}, ?, ?, ?)`,
+            [...campaignColumnValues(input), now, req.user.email, now]
+        );
+        const version = await addConsentVersion(lastID, input.consent, req.user.email);
+        await dbRun('UPDATE campaigns SET consent_version = ? WHERE id = ?', [version, lastID]);
+        console.log(`[Campaigns] ${input.slug} created by ${req.user.email}`);
+        recordAudit(req, 'campaign_created', { target: input.slug, after: { name: input.name, consent_version: version } });
+        res.status(201).json({ id: lastID, message: 'Campaign created.' });
+    } catch (err) {
+        campaignWriteError(res, err);
+    }
+});
+
+app.post('/api/campaigns/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const campaign = await dbGet('SELECT * FROM campaigns WHERE id = ?', [req.params.id]);
+        if (!campaign) return res.status(404).json({ message: 'Campaign not found.' });
+        const input = parseCampaignInput(req.body);
+        const before = campaignFromRow(campaign);
+        const current = await dbGet('SELECT body FROM campaign_consents WHERE campaign_id = ? AND version = ?', [campaign.id, campaign.consent_version]);
+        const version = current && current.body === input.consent ? campaign.consent_version : await addConsentVersion(campaign.id, input.consent, req.user.email);
+
+        await dbRun(`UPDATE campaigns SET ${CAMPAIGN_COLUMNS.map(col => `${col} = ?`).join(', ')}, consent_version = ?, updated_at = ? WHERE id = ?`,
+            [...campaignColumnValues(input), version, new Date().toISOString(), campaign.id]);
+        const after = campaignFromRow(await dbGet('SELECT * FROM campaigns WHERE id = ?', [campaign.id]));
+        const changed = [...CAMPAIGN_COLUMNS, 'consent_version'].filter(col => JSON.stringify(before[col]) !== JSON.stringify(after[col]));
+        console.log(`[Campaigns] ${input.slug} updated by ${req.user.email}`);
+        recordAudit(req, 'campaign_updated', {
+            target: input.slug,
+            before: Object.fromEntries(changed.map(col => [col, before[col]])),
+            after: Object.fromEntries(changed.map(col => [col, after[col]]))
+        });
+        res.json({ message: version === campaign.consent_version ? 'Campaign saved.' : `Campaign saved with consent version ${version}.` });
+    } catch (err) {
+        campaignWriteError(res, err);
+    }
+});
+
+// PROMPTS
+// The questions contributors can ask for on the recorder page. Each note records the one on screen, so questions
+// are retired rather than deleted or reworded: the answers already collected still point at the words they heard.
+// The question the contributor was shown. Retired questions still count, since the page may have been open a while,
+// but an ID from another campaign is dropped rather than failing the upload.
+async function promptForUpload(campaign, promptId) {
+    if (!promptId) return null;
+    const prompt = await dbGet('SELECT id FROM prompts WHERE id = ? AND campaign_id = ?', [Number(promptId), campaign.id]);
+    return prompt ? prompt.id : null;
+}
+
+// Every question for a campaign, live ones first in recorder order, with how their answers have fared in review.
+app.get('/api/campaigns/:id/prompts', requireLogin, (req, res) => {
+    const approvedIn = APPROVED_STATUSES.map(() => '?').join(',');
+    db.all(
+        `SELECT prompts.*, COUNT(submissions.id) AS submissions, COALESCE(SUM(submissions.status IN (${approvedIn})), 0) AS approved,
+            COALESCE(SUM(submissions.status = 'Binned'), 0) AS binned
+         FROM prompts LEFT JOIN submissions ON submissions.prompt_id = prompts.id
+         WHERE prompts.campaign_id = ? GROUP BY prompts.id ORDER BY prompts.retired_at IS NOT NULL, prompts.position, prompts.id`,
+        [...APPROVED_STATUSES, req.params.id],
+        (err, rows) => {
+            if (err) return res.status(500).json({ message: 'Failed to retrieve questions.' });
+            res.json(rows.map(row => ({ ...row, approval_rate: approvalRate(row.approved, row.binned) })));
+        }
+    );
+});
+
+app.post('/api/campaigns/:id/prompts', requireRole('admin'), async (req, res) => {
+    const text = String(req.body.text || '').trim();
+    if (!text) return res.status(400).json({ message: 'Please enter a question.' });
+    if (text.length > 300) return res.status(400).json({ message: 'Questions can be at most 300 characters.' });
+    try {
+        const campaign = await dbGet('SELECT id, slug FROM campaigns WHERE id = ?', [req.params.id]);
+        if (!campaign) return res.status(404).json({ message: 'Campaign not found.' });
+        const { last } = await dbGet('SELECT MAX(position) AS last FROM prompts WHERE campaign_id = ?', [campaign.id]);
+        const { lastID } = await dbRun('INSERT INTO prompts (campaign_id, text, position, created_at, created_by) VALUES (?, ?, ?, ?, ?)',
+            [campaign.id, text, (last ?? -1) + 1, new Date().toISOString(), req.user.email]);
+        recordAudit(req, 'prompt_added', { target: campaign.slug, after: { promptId: lastID, text } });
+        res.status(201).json({ id: lastID, message: 'Question added.' });
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to add the question.' });
+    }
+});
+
+// { retired: true } takes a question off the recorder page; { retired: false } brings it back.
+app.post('/api/prompts/:id/retire', requireRole('admin'), async (req, res) => {
+    const retired = Boolean(req.body.retired);
+    try {
+        const prompt = await dbGet('SELECT prompts.*, campaigns.slug FROM prompts JOIN campaigns ON campaigns.id = prompts.campaign_id WHERE prompts.id = ?', [req.params.id]);
+        if (!prompt) return res.status(404).json({ message: 'Question not found.' });
+        if (Boolean(prompt.retired_at) === retired) return res.json({ message: 'No change.' });
+        await dbRun('UPDATE prompts SET retired_at = ? WHERE id = ?', [retired ? new Date().toISOString() : null, prompt.id]);
+        recordAudit(req, retired ? 'prompt_retired' : 'prompt_restored', { target: prompt.slug, before: { promptId: prompt.id, text: prompt.text } });
+        res.json({ message: retired ? 'Question retired.' : 'Question restored.' });
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to update the question.' });
+    }
+});
+
+// `ids` is the campaign's questions in their new order. Any left out keep their place after the listed ones.
+app.post('/api/campaigns/:id/prompts/order', requireRole('admin'), async (req, res) => {
+    const ids = Array.isArray(req.body.ids) ? req.body.ids.map(Number) : [];
+    try {
+        const campaign = await dbGet('SELECT id, slug FROM campaigns WHERE id = ?', [req.params.id]);
+        if (!campaign) return res.status(404).json({ message: 'Campaign not found.' });
+        const prompts = await dbAll('SELECT id FROM prompts WHERE campaign_id = ? ORDER BY position, id', [campaign.id]);
+        const known = new Set(prompts.map(prompt => prompt.id));
+        if (ids.some(id => !known.has(id))) return res.status(400).json({ message: 'Those questions do not all belong to this campaign.' });
+        const order = [...new Set(ids), ...prompts.map(prompt => prompt.id).filter(id => !ids.includes(id))];
+        await Promise.all(order.map((id, position) => dbRun('UPDATE prompts SET position = ? WHERE id = ?', [position, id])));
+        recordAudit(req, 'prompts_reordered', { target: campaign.slug, after: { order } });
+        res.json({ message: 'Order saved.' });
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to save the order.' });
+    }
+});
+
+// WEBHOOKS
+// Admins register the endpoints partner systems listen on. The signing secret is only shown when an endpoint
+// is created or its secret is replaced, so it never needs to be sent to the dashboard again.
+const newWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const webhookFromRow = ({ secret, ...row }) => ({ ...row, events: JSON.parse(row.events), active: !!row.active });
+
+// Validates the endpoint form, including that its host resolves only to public addresses. Throws a 400 describing
+// the first problem found.
+async function parseWebhookInput(body) {
+    let url;
+    try {
+        url = new URL(String(body.url || '').trim());
+    } catch (err) {
+        throw workflowError(400, 'Enter the full address of the endpoint, starting with https://.');
+    }
+    const protocols = WEBHOOK_ALLOW_PRIVATE_TARGETS ? ['https:', 'http:'] : ['https:'];
+    if (!protocols.includes(url.protocol)) throw workflowError(400, 'Webhook addresses must start with https://.');
+    const events = Array.isArray(body.events) ? [...new Set(body.events.map(String))] : [];
+    if (events.length === 0) throw workflowError(400, 'Choose at least one event to send.');
+    if (events.some(event => !WEBHOOK_EVENTS.includes(event))) throw workflowError(400, 'Unknown event type.');
+    try {
+        await checkWebhookTarget(url);
+    } catch (err) {
+        if (err.statusCode) throw err;
+        throw workflowError(400, `Could not find ${url.hostname}. Check the address.`);
+    }
+    return { url: url.href, events, description: optionalText(body.description, 200), active: body.active === false ? 0 : 1 };
+}
+
+const webhookWriteError = (res, err) => {
+    if (err.statusCode) return res.status(err.statusCode).json({ message: err.message });
+    console.error('[Webhooks] Failed to save webhook:', err.message);
+    res.status(500).json({ message: 'Failed to save the webhook.' });
+};
+
+app.get('/api/webhooks', requireRole('admin'), async (req, res) => {
+    try {
+        const rows = await dbAll(`SELECT webhooks.*,
+                (SELECT COUNT(*) FROM webhook_deliveries WHERE webhook_id = webhooks.id AND status = 'pending') AS pending_count,
+                (SELECT COUNT(*) FROM webhook_deliveries WHERE webhook_id = webhooks.id AND status = 'failed') AS failed_count,
+                (SELECT MAX(delivered_at) FROM webhook_deliveries WHERE webhook_id = webhooks.id) AS last_delivered_at
+            FROM webhooks ORDER BY id`);
+        res.json({ events: WEBHOOK_EVENTS, webhooks: rows.map(webhookFromRow) });
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to retrieve webhooks.' });
+    }
+});
+
+app.post('/api/webhooks', requireRole('admin'), async (req, res) => {
+    try {
+        const input = await parseWebhookInput(req.body);
+        const secret = newWebhookSecret();
+        const now = new Date().toISOString();
+        const { lastID } = await dbRun(`INSERT INTO webhooks (url, description, events, secret, active, created_at, created_by, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [input.url, input.description, JSON.stringify(input.events), secret, input.active, now, req.user.email, now]);
+        console.log(`[Webhooks] Endpoint ${input.url} added by ${req.user.email}`);
+        recordAudit(req, 'webhook_created', { target: input.url, after: { events: input.events, active: !!input.active } });
+        res.status(201).json({ id: lastID, secret, message: 'Webhook added.' });
+    } catch (err) {
+        webhookWriteError(res, err);
+    }
+});
+
+app.post('/api/webhooks/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const hook = await dbGet('SELECT * FROM webhooks WHERE id = ?', [req.params.id]);
+        if (!hook) return res.status(404).json({ message: 'Webhook not found.' });
+        const input = await parseWebhookInput(req.body);
+        await dbRun('UPDATE webhooks SET url = ?, description = ?, events = ?, active = ?, updated_at = ? WHERE id = ?',
+            [input.url, input.description, JSON.stringify(input.events), input.active, new Date().toISOString(), hook.id]);
+        const before = webhookFromRow(hook);
+        recordAudit(req, 'webhook_updated', {
+            target: input.url,
+            before: { url: before.url, events: before.events, active: before.active },
+            after: { url: input.url, events: input.events, active: !!input.active }
+        });
+        // Deliveries held while the endpoint was paused go out now.
+        if (input.active) processWebhookDeliveries();
+        res.json({ message: 'Webhook saved.' });
+    } catch (err) {
+        webhookWriteError(res, err);
+    }
+});
+
+app.post('/api/webhooks/:id/delete', requireRole('admin'), async (req, res) => {
+    try {
+        const hook = await dbGet('SELECT id, url FROM webhooks WHERE id = ?', [req.params.id]);
+        if (!hook) return res.status(404).json({ message: 'Webhook not found.' });
+        await dbRun('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [hook.id]);
+        await dbRun('DELETE FROM webhooks WHERE id = ?', [hook.id]);
+        console.log(`[Webhooks] Endpoint ${hook.url} removed by ${req.user.email}`);
+        recordAudit(req, 'webhook_deleted', { target: hook.url });
+        res.json({ message: 'Webhook removed.' });
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to remove the webhook.' });
+    }
+});
+
+// Deliveries already queued are signed with the new secret when they are next tried.
+app.post('/api/webhooks/:id/rotate-secret', requireRole('admin'), async (req, res) => {
+    try {
+        const hook = await dbGet('SELECT id, url FROM webhooks WHERE id = ?', [req.params.id]);
+        if (!hook) return res.status(404).json({ message: 'Webhook not found.' });
+        const secret = newWebhookSecret();
+        await dbRun('UPDATE webhooks SET secret = ?, updated_at = ? WHERE id = ?', [secret, new Date().toISOString(), hook.id]);
+        recordAudit(req, 'webhook_secret_rotated', { target: hook.url });
+        res.json({ secret, message: 'New signing secret created. The old one no longer works.' });
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to replace the secret.' });
+    }
+});
+
+// Sends a `webhook.ping` event so a partner can check their endpoint and signature handling.
+app.post('/api/webhooks/:id/test', requireRole('admin'), async (req, res) => {
+    try {
+        const hook = await dbGet('SELECT id, url, active FROM webhooks WHERE id = ?', [req.params.id]);
+        if (!hook) return res.status(404).json({ message: 'Webhook not found.' });
+        if (!hook.active) return res.status(409).json({ message: 'Switch the webhook on before sending a test.' });
+        const now = new Date().toISOString();
+        const eventId = crypto.randomUUID();
+        const payload = JSON.stringify({ id: eventId, type: 'webhook.ping', created_at: now, data: { webhook_id: hook.id } });
+        await dbRun(`INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, next_attempt_at, created_at) VALUES (?, ?, 'webhook.ping', ?, ?, ?)`,
+            [hook.id, eventId, payload, now, now]);
+        processWebhookDeliveries();
+        res.json({ message: 'Test event queued.' });
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to send a test event.' });
+    }
+});
+
+app.get('/api/webhooks/:id/deliveries', requireRole('admin'), async (req, res) => {
+    try {
+        const rows = await dbAll(`SELECT id, event_id, event_type, submission_id, status, attempts, next_attempt_at, last_attempt_at, response_status,
+                response_body, error, created_at, delivered_at, redelivery_of, payload
+            FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT 50`, [req.params.id]);
+        res.json(rows);
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to retrieve deliveries.' });
+    }
+});
+
+// A delivery still waiting to be retried is tried again straight away. A finished one is sent again as a new
+// delivery with the same event ID, so receivers that ignore events they have seen can tell it is a repeat.
+app.post('/api/webhook-deliveries/:id/redeliver', requireRole('admin'), async (req, res) => {
+    try {
+        const delivery = await dbGet(`SELECT webhook_deliveries.*, webhooks.url, webhooks.active FROM webhook_deliveries
+            JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id WHERE webhook_deliveries.id = ?`, [req.params.id]);
+        if (!delivery) return res.status(404).json({ message: 'Delivery not found.' });
+        if (!delivery.active) return res.status(409).json({ message: 'Switch the webhook on before redelivering.' });
+        const now = new Date().toISOString();
+        if (delivery.status === 'pending') {
+            await dbRun('UPDATE webhook_deliveries SET next_attempt_at = ? WHERE id = ?', [now, delivery.id]);
+        } else {
+            await dbRun(`INSERT INTO webhook_deliveries (webhook_id, submission_id, event_id, event_type, payload, next_attempt_at, created_at, redelivery_of)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [delivery.webhook_id, delivery.submission_id, delivery.event_id, delivery.event_type, delivery.payload, now, now, delivery.id]);
+        }
+        recordAudit(req, 'webhook_redelivered', { submissionId: delivery.submission_id, target: delivery.url, after: { delivery: delivery.id, event: delivery.event_type } });
+        processWebhookDeliveries();
+        res.json({ message: 'Delivery queued.' });
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to redeliver.' });
+    }
+});
+
+// PUBLIC UPLOAD PAGE API
+// Everything the recorder page needs to show a campaign. Without a slug, the campaign at `/`.
+app.get('/campaign{/:slug}', async (req, res) => {
+    try {
+        const campaign = await findCampaign(req.params.slug);
+        if (!campaign) return res.status(404).json({ message: 'This voice petition could not be found.' });
+        const consent = await dbGet('SELECT body FROM campaign_consents WHERE campaign_id = ? AND version = ?', [campaign.id, campaign.consent_version]);
+        res.json({
+            slug: campaign.slug,
+            name: campaign.name,
+            heading: campaign.heading,
+            subheading: campaign.subheading,
+            intro: campaign.intro,
+            openingLine: campaign.opening_line,
+            logos: campaignFromRow(campaign).logos,
+            brandColor: campaign.brand_color,
+            consent: { version: campaign.consent_version, text: consent ? consent.body : '' },
+            recordingSeconds: campaign.recording_seconds,
+            countdownSeconds: campaign.countdown_seconds,
+            opensAt: campaign.opens_at,
+            closesAt: campaign.closes_at,
+            isOpen: campaignIsOpen(campaign)
+        });
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to load this voice petition.' });
+    }
+});
+
+// The questions the recorder offers, in the order staff have put them. Retired questions are left out.
+app.get('/campaign/:slug/prompts', async (req, res) => {
+    try {
+        const campaign = await findCampaign(req.params.slug);
+        if (!campaign) return res.status(404).json({ message: 'This voice petition could not be found.' });
+        res.json(await dbAll('SELECT id, text FROM prompts WHERE campaign_id = ? AND retired_at IS NULL ORDER BY position, id', [campaign.id]));
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to load the questions.' });
+    }
+});
+
+// UPLOAD PROTECTION
+// The upload endpoints are public, so each new upload must carry a solved proof-of-work challenge from the
+// recorder page and is counted against per-IP and per-device limits. The device ID is a random value the
+// recorder keeps in localStorage; it is easy to drop, which is why the IP limit backs it up.
+
+// Fixed-window counters kept in memory. They reset on restart, which is fine for slowing down scripts.
+function createRateLimiter(windowMs, max) {
+    const hits = new Map();
+    setInterval(() => {
+        const now = Date.now();
+        hits.forEach((entry, key) => { if (entry.resetAt <= now) hits.delete(key); });
+    }, windowMs).unref();
+    return (key) => {
+        const now = Date.now();
+        let entry = hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+        entry.count++;
+        return entry.count <= max;
+    };
+}
+
+const allowUploadFromIp = createRateLimiter(UPLOAD_RATE_WINDOW_MS, UPLOAD_RATE_MAX_PER_IP);
+const allowUploadFromDevice = createRateLimiter(UPLOAD_RATE_WINDOW_MS, UPLOAD_RATE_MAX_PER_DEVICE);
+
+// Challenges are `<issued at>.<random>.<signature>`, so nothing needs storing until one is spent.
+const signChallenge = (payload) => crypto.createHmac('sha256', UPLOAD_CHALLENGE_SECRET).update(payload).digest('hex');
+const spentChallenges = new Map();
+
+function issueUploadChallenge() {
+    const payload = `${Date.now()}.${crypto.randomBytes(12).toString('hex')}`;
+    return `${payload}.${signChallenge(payload)}`;
+}
+
+function leadingZeroBits(buffer) {
+    let bits = 0;
+    for (const byte of buffer) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        return bits + Math.clz32(byte) - 24;
+    }
+    return bits;
+}
+
+// Returns an error message, or null if the challenge is valid and hasn't been used before.
+function spendUploadChallenge(challenge, nonce) {
+    if (!challenge || !nonce) return 'Please reload the page and try again.';
+    const [issuedAt, random, signature] = String(challenge).split('.');
+    const expected = signChallenge(`${issuedAt}.${random}`);
+    if (!signature || signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return 'Please reload the page and try again.';
+    }
+    if (Date.now() - Number(issuedAt) > UPLOAD_CHALLENGE_TTL_MS) return 'This page has been open too long. Please try sending again.';
+    if (spentChallenges.has(challenge)) return 'Please reload the page and try again.';
+    const hash = crypto.createHash('sha256').update(`${challenge}:${String(nonce).slice(0, 32)}`).digest();
+    if (leadingZeroBits(hash) < UPLOAD_POW_DIFFICULTY) return 'Please reload the page and try again.';
+
+    spentChallenges.set(challenge, Number(issuedAt) + UPLOAD_CHALLENGE_TTL_MS);
+    return null;
+}
+
+setInterval(() => {
+    const now = Date.now();
+    spentChallenges.forEach((expiresAt, challenge) => { if (expiresAt <= now) spentChallenges.delete(challenge); });
+}, UPLOAD_CHALLENGE_TTL_MS).unref();
+
+// Runs before the body is read, so everything it needs comes in headers.
+function guardUpload(req, res, next) {
+    const deviceId = String(req.get('X-Device-Id') || '').slice(0, 64);
+    if (!allowUploadFromIp(req.ip) || (deviceId && !allowUploadFromDevice(deviceId))) {
+        console.log(`[Upload] Rate limit reached for ${req.ip}${deviceId ? ` / device ${deviceId}` : ''}`);
+        return res.status(429).json({ message: 'Too many voice notes have been sent from here recently. Please try again later.' });
+    }
+    if (UPLOAD_POW_DIFFICULTY > 0) {
+        const challengeErr = spendUploadChallenge(req.get('X-Upload-Challenge'), req.get('X-Upload-Nonce'));
+        if (challengeErr) return res.status(403).json({ message: challengeErr });
+    }
+    next();
+}
+
+app.get('/upload/challenge', (req, res) => {
+    res.json({ challenge: issueUploadChallenge(), difficulty: UPLOAD_POW_DIFFICULTY });
+});
+
+// Rejects anything ffprobe can't read as audio, and anything longer than `maxSeconds`.
+// Browser recordings often carry no duration in the container; those are checked again after conversion.
+function validateUploadedAudio(filePath, maxSeconds) {
+    return new Promise((resolve) => {
+        ffmpeg.ffprobe(filePath, (err, metadata) => {
+            if (err || !metadata.streams.some(stream => stream.codec_type === 'audio')) {
+                return resolve(workflowError(415, 'That file does not look like a voice recording.'));
+            }
+            const duration = parseFloat(metadata.format.duration);
+            if (duration > maxSeconds) return resolve(workflowError(413, 'The recording is too long.'));
+            resolve(null);
+        });
+    });
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+// A resubmission of audio we already hold is counted and flagged on the original instead of being stored again.
+function flagDuplicateSubmission(sub, callback) {
+    const flags = sub.quality_flags ? sub.quality_flags.split(',') : [];
+    if (!flags.includes('resubmitted')) flags.push('resubmitted');
+    db.run('UPDATE submissions SET duplicate_count = COALESCE(duplicate_count, 0) + 1, last_duplicate_at = ?, quality_flags = ? WHERE id = ?',
+        [new Date().toISOString(), flags.join(','), sub.id], (err) => {
+            if (err) console.error(`[Upload] Failed to flag duplicate of ${sub.filename}:`, err.message);
+            console.log(`[Upload] Duplicate of ${sub.filename} received and not stored.`);
+            recordAudit(null, 'duplicate_upload', { submissionId: sub.id, target: sub.filename, actor: 'contributor' });
+            broadcastSubmission(sub.id);
+            const duplicateErr = workflowError(409, 'We already have this voice note, so there is no need to send it again. Thank you!');
+            duplicateErr.duplicate = true;
+            callback(duplicateErr);
+        });
+}
+
+// Turns a received recording into a submission. Shared by the single-request upload and resumable upload sessions.
+// `fields.campaign` is the campaign row the note belongs to, already checked by campaignForUpload, and
+// `fields.promptId` the question the contributor was shown, already checked by promptForUpload.
+// `fields.consentGivenAt` is when the server received the consent, which for a resumable upload is when its session started.
+// The temporary file is always removed; the callback gets the message and receipt code for the contributor.
+function saveSubmission(tempPath, fields, callback) {
+    const { campaign } = fields;
+    const consentTime = fields.consentGivenAt ? new Date(fields.consentGivenAt) : new Date();
+    const retentionExpiresAt = addMonths(consentTime, RETENTION_MONTHS).toISOString();
+
+    checkUploadedFile(tempPath, maxRecordingSeconds(campaign), (checkErr, contentHash) => {
+        if (checkErr) {
+            fs.unlink(tempPath, () => {});
+            return callback(checkErr);
+        }
+        storeSubmission(tempPath, { ...fields, consentTime, retentionExpiresAt, contentHash }, callback);
+    });
+}
+
+function checkUploadedFile(tempPath, maxSeconds, callback) {
+    validateUploadedAudio(tempPath, maxSeconds)
+        .then(async (invalid) => {
+            if (invalid) return callback(invalid);
+            const contentHash = await hashFile(tempPath);
+            db.get('SELECT id, filename, quality_flags FROM submissions WHERE content_hash = ? AND purged_at IS NULL', [contentHash], (err, existing) => {
+                if (err) return callback(workflowError(500, 'Upload failed.'));
+                if (existing) return flagDuplicateSubmission(existing, callback);
+                callback(null, contentHash);
+            });
+        })
+        .catch(() => callback(workflowError(500, 'Upload failed.')));
+}
+
+// Filenames stay unique because the staff APIs still address notes by filename.
+async function uniqueFilename(baseFilename) {
+    let filename = `${baseFilename}.mp3`;
+    for (let counter = 1; await dbGet('SELECT 1 FROM submissions WHERE filename = ?', [filename]); counter++) {
+        filename = `${baseFilename}-${counter}.mp3`;
+    }
+    return filename;
+}
+
+function storeSubmission(tempPath, fields, callback) {
+    const { consentVersion, consentTime, retentionExpiresAt, contentHash, campaign, promptId } = fields;
+    const receiptCode = generateReceiptCode();
+
+    // The filename is only a label for staff now; the audio itself is stored under an opaque key.
+    const sanitize = (str) => str.replace(/[^a-zA-Z0-9-]/g, '_');
+    const baseFilename = `${sanitize(fields.firstName || 'user')}-${sanitize(fields.postcode || 'local')}`;
+    const firstName = fields.firstName ? String(fields.firstName).trim().slice(0, 100) : null;
+    const audioKey = generateAudioKey();
+    // Both versions are built in the work directory and only handed to storage once they've passed the checks.
+    const originalPath = path.join(workDir, `${audioKey}-original.mp3`);
+    const outputPath = path.join(workDir, audioFileName(audioKey));
+    const removeWorkFiles = () => [tempPath, originalPath, outputPath].forEach(filePath => fs.unlink(filePath, () => {}));
+    let finalFilename;
+
+    uniqueFilename(baseFilename)
+        .then((filename) => {
+            finalFilename = filename;
+            return processUploadedAudio(tempPath, finalFilename, originalPath, outputPath);
+        })
+        .then(async ({ durationSeconds, loudnessLufs, chain }) => {
+            fs.unlink(tempPath, () => {});
+            const originalDuration = await probeDuration(originalPath);
+            if (originalDuration > maxRecordingSeconds(campaign)) {
+                removeWorkFiles();
+                return callback(workflowError(413, 'The recording is too long.'));
+            }
+            const quality = await analyseUploadedAudio(originalPath, finalFilename, durationSeconds);
+            if (quality.flags.length > 0) console.log(`[Audio] Quality issues in ${finalFilename}: ${quality.flags.join(', ')}`);
+            await audioStorage.putFile(storageKey('originals', audioKey), originalPath);
+            await audioStorage.putFile(storageKey('uploads', audioKey), outputPath);
+            db.run(`INSERT INTO submissions (filename, submitted_at, consent_version, consent_given_at, retention_expires_at, receipt_code, duration_seconds, loudness_lufs, processing_chain,
+                    silence_ratio, peak_db, clipped_samples, speech_ratio, quality_flags, postcode_district, content_hash, audio_key, first_name, campaign_id, prompt_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [finalFilename, new Date().toISOString(), String(consentVersion).slice(0, 50), consentTime.toISOString(), retentionExpiresAt, receiptCode, durationSeconds, loudnessLufs, chain,
+                    quality.silenceRatio, quality.peakDb, quality.clippedSamples, quality.speechRatio, quality.flags.join(','), postcodeDistrictFromFilename(finalFilename), contentHash, audioKey, firstName, campaign.id,
+                    promptId || null], function(dbErr) {
+                    if (dbErr) {
+                        console.error("DB Insert Error:", dbErr);
+                        return callback(null, { message: 'Upload successful (with DB error)!' });
+                    }
+                    const submissionId = this.lastID;
+                    autoAssignSubmission(submissionId, finalFilename, () => broadcastSubmission(submissionId, { created: true }));
+                    queueWebhookEvent('submission.created', submissionId);
+                    requestTranscription(submissionId);
+                    console.log(`New submission saved to DB: ${finalFilename}`);
+                    callback(null, { message: 'Upload successful!', receiptCode });
+                });
+        })
+        .catch((processErr) => {
+            console.error('[Audio] Processing failed:', processErr.message);
+            removeWorkFiles();
+            removeAudioFiles(audioKey).catch(() => {});
+            callback(workflowError(500, 'File conversion failed.'));
+        });
+}
+
+app.post('/upload', guardUpload, (req, res) => {
+    upload(req, res, function (err) {
+        if (err && err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ message: 'The recording is too large.' });
+        if (err || !req.file) {
+            console.error("Upload Error:", err);
+            return res.status(400).json({ message: "Upload failed." });
+        }
+        campaignForUpload(req.body.campaign, req.body.consentVersion)
+            .then(async (campaign) => {
+                const promptId = await promptForUpload(campaign, req.body.promptId);
+                const fields = { firstName: req.body.firstName, postcode: req.body.postcode, consentVersion: campaign.consent_version, campaign, promptId };
+                saveSubmission(req.file.path, fields, (saveErr, result) => {
+                    if (saveErr) return res.status(saveErr.statusCode).json({ message: saveErr.message, duplicate: saveErr.duplicate });
+                    res.status(200).json(result);
+                });
+            })
+            .catch((campaignErr) => {
+                fs.unlink(req.file.path, () => {});
+                res.status(campaignErr.statusCode || 500).json({ message: campaignErr.statusCode ? campaignErr.message : 'Upload failed.' });
+            });
+    });
+});
+
+// RESUMABLE UPLOAD API
+// The recorder creates a session, sends the recording in chunks at the offset the server reports, then completes it.
+// A dropped connection only costs the chunk in flight: the client asks for the offset and carries on from there.
+const uploadSessionPath = (id) => path.join(uploadSessionsDir, `${id}.part`);
+const isUploadSessionId = (id) => /^[a-f0-9]{32}$/.test(id);
+// Chunks for one session are appended one at a time.
+const busyUploadSessions = new Set();
+
+function findUploadSession(req, res, next) {
+    if (!isUploadSessionId(req.params.id)) return res.status(404).json({ message: 'Upload session not found.' });
+    db.get('SELECT * FROM upload_sessions WHERE id = ?', [req.params.id], (err, session) => {
+        if (err) return res.status(500).json({ message: 'Failed to retrieve upload session.' });
+        if (!session) return res.status(404).json({ message: 'Upload session not found.' });
+        req.uploadSession = session;
+        next();
+    });
+}
+
+const uploadSessionStatus = (session) => ({
+    id: session.id,
+    status: session.status,
+    totalBytes: session.total_bytes,
+    receivedBytes: session.received_bytes,
+    chunkBytes: UPLOAD_CHUNK_BYTES,
+    receiptCode: session.receipt_code || undefined
+});
+
+// Chunks are written at their offset rather than appended, so a chunk whose response was lost can safely be sent again.
+function writeChunk(filePath, chunk, position, callback) {
+    fs.open(filePath, 'r+', (openErr, fd) => {
+        if (openErr) return callback(openErr);
+        fs.write(fd, chunk, 0, chunk.length, position, (writeErr) => {
+            fs.close(fd, (closeErr) => callback(writeErr || closeErr));
+        });
+    });
+}
+
+function cleanUpUploadSessions(runAt) {
+    const cutoff = new Date(new Date(runAt).getTime() - UPLOAD_SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+    db.all(`SELECT id FROM upload_sessions WHERE updated_at <= ? AND status != 'processing'`, [cutoff], (err, rows) => {
+        if (err) return console.error('[Upload] Failed to find stale upload sessions:', err.message);
+        rows.forEach(row => {
+            fs.rm(uploadSessionPath(row.id), { force: true }, () => {});
+            db.run('DELETE FROM upload_sessions WHERE id = ?', [row.id]);
+        });
+        if (rows.length > 0) console.log(`[Upload] Removed ${rows.length} stale upload session(s).`);
+    });
+}
+
+app.post('/upload/sessions', guardUpload, async (req, res) => {
+    const { firstName, postcode, consentVersion } = req.body;
+    const totalBytes = Number(req.body.totalBytes);
+    if (!Number.isInteger(totalBytes) || totalBytes <= 0) return res.status(400).json({ message: 'The recording is empty.' });
+    if (totalBytes > MAX_UPLOAD_BYTES) return res.status(413).json({ message: 'The recording is too large.' });
+    let campaign;
+    let promptId;
+    try {
+        campaign = await campaignForUpload(req.body.campaign, consentVersion);
+        promptId = await promptForUpload(campaign, req.body.promptId);
+    } catch (campaignErr) {
+        return res.status(campaignErr.statusCode || 500).json({ message: campaignErr.statusCode ? campaignErr.message : 'Failed to start upload.' });
+    }
+
+    const id = crypto.randomBytes(16).toString('hex');
+    const now = new Date().toISOString();
+    fs.writeFile(uploadSessionPath(id), '', (fileErr) => {
+        if (fileErr) return res.status(500).json({ message: 'Failed to start upload.' });
+        db.run(`INSERT INTO upload_sessions (id, created_at, updated_at, total_bytes, first_name, postcode, consent_version, consent_given_at, campaign_id, prompt_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [id, now, now, totalBytes, String(firstName || '').slice(0, 100), String(postcode || '').slice(0, 10), campaign.consent_version, now, campaign.id, promptId],
+            (err) => {
+                if (err) return res.status(500).json({ message: 'Failed to start upload.' });
+                res.status(201).json({ id, status: 'open', totalBytes, receivedBytes: 0, chunkBytes: UPLOAD_CHUNK_BYTES });
+            });
+    });
+});
+
+app.get('/upload/sessions/:id', findUploadSession, (req, res) => {
+    res.json(uploadSessionStatus(req.uploadSession));
+});
+
+// Chunks are raw bytes with an Upload-Offset header. A chunk at the wrong offset gets a 409 with the offset the server expects.
+app.put('/upload/sessions/:id', express.raw({ type: 'application/octet-stream', limit: UPLOAD_CHUNK_BYTES }), findUploadSession, (req, res) => {
+    const session = req.uploadSession;
+    const offset = Number(req.get('Upload-Offset'));
+    if (session.status !== 'open') return res.status(409).json({ message: 'This upload has already been sent.', ...uploadSessionStatus(session) });
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) return res.status(400).json({ message: 'Empty chunk.' });
+    if (offset !== session.received_bytes) return res.status(409).json({ message: 'Unexpected offset.', ...uploadSessionStatus(session) });
+    if (offset + req.body.length > session.total_bytes) return res.status(400).json({ message: 'The chunk runs past the end of the recording.' });
+    if (busyUploadSessions.has(session.id)) return res.status(409).json({ message: 'Another chunk is still being written.', ...uploadSessionStatus(session) });
+
+    busyUploadSessions.add(session.id);
+    writeChunk(uploadSessionPath(session.id), req.body, offset, (fileErr) => {
+        if (fileErr) {
+            busyUploadSessions.delete(session.id);
+            console.error(`[Upload] Failed to write chunk for session ${session.id}:`, fileErr.message);
+            return res.status(500).json({ message: 'Failed to save chunk.' });
+        }
+        const receivedBytes = offset + req.body.length;
+        db.run('UPDATE upload_sessions SET received_bytes = ?, updated_at = ? WHERE id = ?', [receivedBytes, new Date().toISOString(), session.id], (err) => {
+            busyUploadSessions.delete(session.id);
+            if (err) return res.status(500).json({ message: 'Failed to save chunk.' });
+            res.json(uploadSessionStatus({ ...session, received_bytes: receivedBytes }));
+        });
+    });
+});
+
+// Completing twice is safe: a contributor whose connection dropped while waiting gets the same receipt code back.
+app.post('/upload/sessions/:id/complete', findUploadSession, (req, res) => {
+    const session = req.uploadSession;
+    if (session.status === 'complete') return res.json({ message: 'Upload successful!', receiptCode: session.receipt_code });
+    if (session.status === 'processing') return res.status(409).json({ message: 'Your voice note is still being processed.', ...uploadSessionStatus(session) });
+    if (session.received_bytes !== session.total_bytes) return res.status(409).json({ message: 'The upload is not finished yet.', ...uploadSessionStatus(session) });
+
+    db.run(`UPDATE upload_sessions SET status = 'processing', updated_at = ? WHERE id = ? AND status = 'open'`, [new Date().toISOString(), session.id], async function(claimErr) {
+        if (claimErr) return res.status(500).json({ message: 'Failed to process upload.' });
+        if (this.changes === 0) return res.status(409).json({ message: 'Your voice note is still being processed.' });
+
+        // The campaign was checked when the session started, so a note sent just before it closed still goes through.
+        const campaign = await dbGet('SELECT * FROM campaigns WHERE id = ?', [session.campaign_id]).catch(() => null);
+        if (!campaign) {
+            db.run(`UPDATE upload_sessions SET status = 'open' WHERE id = ?`, [session.id]);
+            return res.status(500).json({ message: 'Failed to process upload.' });
+        }
+        const fields = {
+            firstName: session.first_name, postcode: session.postcode, consentVersion: session.consent_version, consentGivenAt: session.consent_given_at,
+            campaign, promptId: session.prompt_id
+        };
+        saveSubmission(uploadSessionPath(session.id), fields, (saveErr, result) => {
+            // The chunks are gone either way, so a failed conversion can't be retried from this session.
+            const status = saveErr ? 'failed' : 'complete';
+            db.run('UPDATE upload_sessions SET status = ?, receipt_code = ?, updated_at = ? WHERE id = ?', [status, result ? result.receiptCode : null, new Date().toISOString(), session.id]);
+            if (saveErr) return res.status(saveErr.statusCode).json({ message: saveErr.message, duplicate: saveErr.duplicate });
+            res.json(result);
+        });
     });
 });
 
@@ -2,8 +2,7 @@
 
 // This function will be injected to perform the upload.
 async function performUpload(fileData) {
-    const { name, dataUrl } = fileData;
-    const episodeTitle = name.replace(/\.mp3$/, '').replace(/[-_]/g, ' ');
+    const { name, title, description, dataUrl } = fileData;
     const sleep = ms => new Promise(r => setTimeout(r, ms));
 
     console.log(`[Uploader] Processing: ${name}`);
@@ -47,15 +46,17 @@ async function performUpload(fileData) {
             throw new Error('Timed out waiting for title input to appear after upload.');
         })();
 
-        console.log(`[Uploader] Setting title and description to: "${episodeTitle}"`);
+        console.log(`[Uploader] Setting title to: "${title}"`);
         titleInput.focus();
-        document.execCommand('insertText', false, episodeTitle);
+        document.execCommand('insertText', false, title);
         titleInput.dispatchEvent(new Event('input', { bubbles: true }));
 
         const descriptionBox = document.querySelector('div[role="textbox"]');
         if (descriptionBox) {
             descriptionBox.focus();
-            descriptionBox.innerHTML = `<p>${episodeTitle}</p>`;
+            const paragraph = document.createElement('p');
+            paragraph.textContent = description;
+            descriptionBox.replaceChildren(paragraph);
             descriptionBox.dispatchEvent(new Event('input', { bubbles: true }));
         }
 
@@ -86,10 +87,9 @@ async function performUpload(fileData) {
 
 // Listen for messages from the popup script
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message.action === 'startUpload') {
-        console.log('[Background] Received upload request for', message.files.length, 'files.');
-        // Start the upload process, but don't rely on sender.tab
-        processFiles(message.files);
+    if (message.action === 'publishQueue') {
+        console.log('[Background] Received request to publish the approved queue.');
+        publishQueue();
         return true; // Indicates we will send a response asynchronously
     }
 });
@@ -109,59 +109,115 @@ function waitForTabLoad(tabId) {
     });
 }
 
+// --- Server Communication ---
+async function serverFetch(path, options = {}) {
+    const { serverUrl, token } = await chrome.storage.local.get(['serverUrl', 'token']);
+    if (!serverUrl || !token) throw new Error('The extension is not connected to the petition server.');
+    const response = await fetch(`${serverUrl}${path}`, {
+        ...options,
+        headers: { ...(options.headers || {}), Authorization: `Bearer ${token}` }
+    });
+    if (!response.ok) {
+        const err = await response.json().catch(() => ({}));
+        throw new Error(err.message || `Server responded with ${response.status}`);
+    }
+    return response;
+}
+
+// Service workers have no FileReader, so build the data URL by hand.
+async function fetchAudioAsDataUrl(audioUrl) {
+    const response = await serverFetch(audioUrl);
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return `data:audio/mpeg;base64,${btoa(binary)}`;
+}
 
-// REVISED: processFiles function to handle tabs sequentially
-async function processFiles(files) {
+async function reportResult(id, result) {
+    try {
+        await serverFetch('/api/publish/report', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id, success: result.success, error: result.error })
+        });
+    } catch (error) {
+        console.error(`[Background] Could not report result for submission #${id}:`, error);
+    }
+}
+
+async function publishQueue() {
+    try {
+        const response = await serverFetch('/api/publish/queue');
+        const queue = await response.json();
+        console.log(`[Background] ${queue.length} approved voicenote(s) in the publishing queue.`);
+        await processFiles(queue);
+    } catch (error) {
+        console.error('[Background] Could not load the publishing queue:', error);
+    }
+}
+
+// Publishes each queued note in turn and reports every outcome, carrying on past failures.
+async function processFiles(queue) {
     const uploadUrl = 'https://creators.spotify.com/pod/dashboard/episode/new';
-    
+
     // Get the currently active tab to start the process.
     const [originalTab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
     if (!originalTab) {
         console.error("[Background] Could not find an active tab to start the upload process.");
-        alert("Could not find an active tab. Please make sure you are on a Spotify page and try again.");
         return;
     }
 
     let currentTabId = originalTab.id;
+    let published = 0;
 
-    for (const fileData of files) {
-        console.log(`[Background] Preparing to upload ${fileData.name}`);
-        
-        // For the first file, use the original tab. For subsequent files, create a new one.
-        if (files.indexOf(fileData) === 0) {
-            console.log(`[Background] Using original tab for the first file.`);
-            await chrome.tabs.update(currentTabId, { url: uploadUrl, active: true });
-        } else {
-            console.log(`[Background] Creating new tab for ${fileData.name}`);
-            const newTab = await chrome.tabs.create({ url: uploadUrl, active: true });
-            currentTabId = newTab.id;
+    for (const [index, item] of queue.entries()) {
+        console.log(`[Background] Preparing to upload ${item.title}`);
+
+        let result;
+        try {
+            const dataUrl = await fetchAudioAsDataUrl(item.audioUrl);
+
+            // For the first file, use the original tab. For subsequent files, create a new one.
+            if (index === 0) {
+                await chrome.tabs.update(currentTabId, { url: uploadUrl, active: true });
+            } else {
+                const newTab = await chrome.tabs.create({ url: uploadUrl, active: true });
+                currentTabId = newTab.id;
+            }
+
+            // Wait for the tab to be fully loaded
+            await waitForTabLoad(currentTabId);
+            console.log(`[Background] Tab for ${item.title} is ready. Injecting script.`);
+
+            const results = await chrome.scripting.executeScript({
+                target: { tabId: currentTabId },
+                func: performUpload,
+                // The file is named by ID alone, like the episode.
+                args: [{ name: `voice-note-${item.id}.mp3`, title: item.title, description: item.description, dataUrl }]
+            });
+            result = results[0]?.result || { success: false, error: 'The upload script did not return a result.' };
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+
+        await reportResult(item.id, result);
+
+        if (!result.success) {
+            // Leave the failed tab open for debugging and move on to the next note.
+            console.error(`[Background] Upload failed for ${item.title}: ${result.error}`);
+            continue;
         }
-        
-        // Wait for the tab to be fully loaded
-        await waitForTabLoad(currentTabId);
-        console.log(`[Background] Tab for ${fileData.name} is ready. Injecting script.`);
-
-        // Inject and execute the upload script in the new tab
-        const results = await chrome.scripting.executeScript({
-            target: { tabId: currentTabId },
-            func: performUpload,
-            args: [fileData]
-        });
 
-        const result = results[0]?.result;
-        if (!result || !result.success) {
-            console.error(`[Background] Upload failed for ${fileData.name}. Stopping bulk process.`);
-            // Leave the failed tab open for debugging.
-            break; // Stop the loop if one file fails
-        } else {
-             console.log(`[Background] Finished processing ${fileData.name}. Closing tab if it's not the original one.`);
-             // Close the tab after a successful upload, but only if it's a new tab we created
-             if (currentTabId !== originalTab.id) {
-                 await new Promise(r => setTimeout(r, 2000)); // Brief pause before closing
-                 chrome.tabs.remove(currentTabId);
-             }
+        published++;
+        console.log(`[Background] Finished processing ${item.title}.`);
+        // Close the tab after a successful upload, but only if it's a new tab we created
+        if (currentTabId !== originalTab.id) {
+            await new Promise(r => setTimeout(r, 2000)); // Brief pause before closing
+            chrome.tabs.remove(currentTabId);
         }
     }
-    console.log('[Background] Bulk upload process finished.');
+    console.log(`[Background] Publishing finished: ${published} of ${queue.length} voicenote(s) published.`);
 }
@@ -0,0 +1,185 @@
+// storage.js
+// Where audio files live. Keys look like `uploads/<audio key>.mp3`, `sent_to_spotify/...` and `originals/...`,
+// matching the folders under RENDER_DISK_PATH, so the local driver needs no migration.
+//
+// Every driver offers the same promise-based methods:
+//   putFile(key, filePath)        stores a local file under key and removes the local copy
+//   downloadFile(key, filePath)   copies the object to a local file (ffmpeg needs real files)
+//   createReadStream(key, range)  readable stream of the object, or of bytes range.start..range.end
+//   stat(key)                     { size } or null if the object doesn't exist
+//   move(fromKey, toKey)
+//   remove(key)                   resolves true if something was deleted
+//   list(prefix)                  every key under prefix
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// --- Local Filesystem Driver ---
+function createLocalStorage({ root }) {
+    const resolve = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(path.resolve(root) + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+        return filePath;
+    };
+    const ensureDir = (filePath) => fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // rename only works within one filesystem, so fall back to copying.
+    async function moveFile(fromPath, toPath) {
+        await ensureDir(toPath);
+        try {
+            await fs.promises.rename(fromPath, toPath);
+        } catch (err) {
+            if (err.code !== 'EXDEV') throw err;
+            await fs.promises.copyFile(fromPath, toPath);
+            await fs.promises.unlink(fromPath);
+        }
+    }
+
+    return {
+        name: 'local',
+        putFile: (key, filePath) => moveFile(filePath, resolve(key)),
+        downloadFile: (key, filePath) => fs.promises.copyFile(resolve(key), filePath),
+        createReadStream: async (key, range) => fs.createReadStream(resolve(key), range || {}),
+        async stat(key) {
+            try {
+                const stats = await fs.promises.stat(resolve(key));
+                return { size: stats.size };
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+        },
+        move: (fromKey, toKey) => moveFile(resolve(fromKey), resolve(toKey)),
+        async remove(key) {
+            try {
+                await fs.promises.unlink(resolve(key));
+                return true;
+            } catch (err) {
+                if (err.code === 'ENOENT') return false;
+                throw err;
+            }
+        },
+        async list(prefix) {
+            const dir = resolve(prefix);
+            const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+            return entries.filter(entry => entry.isFile()).map(entry => path.posix.join(prefix, entry.name));
+        }
+    };
+}
+
+// --- S3-Compatible Driver ---
+// Works with AWS S3 and with MinIO (set S3_ENDPOINT and S3_FORCE_PATH_STYLE=true).
+// With `sse` set, every object is written with server-side encryption.
+function createS3Storage({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, prefix = '', sse, kmsKeyId }) {
+    if (!bucket) throw new Error('S3_BUCKET must be set to use the s3 storage driver.');
+    const {
+        S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand, CopyObjectCommand, ListObjectsV2Command
+    } = require('@aws-sdk/client-s3');
+
+    const client = new S3Client({
+        region: region || 'us-east-1',
+        endpoint: endpoint || undefined,
+        forcePathStyle: Boolean(forcePathStyle),
+        // Without explicit keys the SDK falls back to its usual credential chain (env, profile, instance role).
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+    const objectKey = (key) => `${prefix}${key}`;
+    const encryption = sse ? { ServerSideEncryption: sse, SSEKMSKeyId: kmsKeyId || undefined } : {};
+    const isNotFound = (err) => err.name === 'NotFound' || err.name === 'NoSuchKey' || (err.$metadata && err.$metadata.httpStatusCode === 404);
+
+    async function putFile(key, filePath) {
+        const { size } = await fs.promises.stat(filePath);
+        await client.send(new PutObjectCommand({
+            Bucket: bucket,
+            Key: objectKey(key),
+            Body: fs.createReadStream(filePath),
+            ContentLength: size,
+            ContentType: 'audio/mpeg',
+            ...encryption
+        }));
+        await fs.promises.unlink(filePath);
+    }
+
+    async function createReadStream(key, range) {
+        const response = await client.send(new GetObjectCommand({
+            Bucket: bucket,
+            Key: objectKey(key),
+            Range: range ? `bytes=${range.start}-${range.end}` : undefined
+        }));
+        return response.Body;
+    }
+
+    async function remove(key) {
+        // S3 deletes succeed whether or not the object existed, so check first to keep the count honest.
+        const existing = await stat(key);
+        if (!existing) return false;
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return true;
+    }
+
+    async function stat(key) {
+        try {
+            const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+            return { size: head.ContentLength };
+        } catch (err) {
+            if (isNotFound(err)) return null;
+            throw err;
+        }
+    }
+
+    return {
+        name: 's3',
+        putFile,
+        createReadStream,
+        stat,
+        remove,
+        async downloadFile(key, filePath) {
+            await pipeline(await createReadStream(key), fs.createWriteStream(filePath));
+        },
+        async move(fromKey, toKey) {
+            await client.send(new CopyObjectCommand({
+                Bucket: bucket,
+                Key: objectKey(toKey),
+                // Only the key is encoded: an encoded slash after the bucket would make it part of the bucket name.
+                CopySource: `${bucket}/${encodeURIComponent(objectKey(fromKey)).replace(/%2F/g, '/')}`,
+                ...encryption
+            }));
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(fromKey) }));
+        },
+        async list(listPrefix) {
+            const keys = [];
+            let ContinuationToken;
+            do {
+                const page = await client.send(new ListObjectsV2Command({
+                    Bucket: bucket,
+                    Prefix: objectKey(listPrefix.endsWith('/') ? listPrefix : `${listPrefix}/`),
+                    ContinuationToken
+                }));
+                (page.Contents || []).forEach(object => keys.push(object.Key.slice(prefix.length)));
+                ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+            } while (ContinuationToken);
+            return keys;
+        }
+    };
+}
+
+// Builds a driver from environment variables. `driver` overrides STORAGE_DRIVER, which the migration command uses.
+function createStorage({ dataDir, env = process.env, driver = env.STORAGE_DRIVER || 'local' }) {
+    if (driver === 'local') return createLocalStorage({ root: env.STORAGE_LOCAL_ROOT || dataDir });
+    if (driver === 's3') {
+        return createS3Storage({
+            bucket: env.S3_BUCKET,
+            region: env.S3_REGION,
+            endpoint: env.S3_ENDPOINT,
+            forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+            accessKeyId: env.S3_ACCESS_KEY_ID,
+            secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+            prefix: env.S3_PREFIX,
+            sse: env.S3_SSE,
+            kmsKeyId: env.S3_SSE_KMS_KEY_ID
+        });
+    }
+    throw new Error(`Unknown storage driver "${driver}". Use "local" or "s3".`);
+}
+
+module.exports = { createStorage, createLocalStorage, createS3Storage };
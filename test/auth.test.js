@@ -0,0 +1,131 @@
+// Two-factor codes, account lockout after repeated failures, and two-factor sign-in.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const totp = require('../totp');
+const { ADMIN, makeDataDir, removeDataDir, startServer, signInAsAdmin, signInAsStaff } = require('./helpers');
+
+// RFC 6238 appendix B, SHA-1, cut down to the 6 digits authenticator apps show.
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [[59, '287082'], [1111111109, '081804'], [1111111111, '050471'], [1234567890, '005924'], [2000000000, '279037'], [20000000000, '353130']];
+
+// An authenticator app, written independently of totp.js.
+function codeFor(secret, counter) {
+    const bits = [...secret].map(char => 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'.indexOf(char).toString(2).padStart(5, '0')).join('');
+    const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', key).update(message).digest();
+    return String((hmac.readUInt32BE(hmac[19] & 0x0f) & 0x7fffffff) % 1e6).padStart(6, '0');
+}
+const currentStep = () => Math.floor(Date.now() / 30000);
+
+describe('totp', () => {
+    it('matches the RFC 6238 test vectors', () => {
+        for (const [seconds, code] of RFC_VECTORS) {
+            assert.equal(totp.verifyCode(RFC_SECRET, code, { now: seconds * 1000 }), Math.floor(seconds / 30), `at ${seconds}s`);
+        }
+    });
+
+    it('accepts one step of clock drift either way, and no more', () => {
+        const now = 1234567890 * 1000;
+        const step = Math.floor(now / 30000);
+        assert.equal(totp.verifyCode(RFC_SECRET, codeFor(RFC_SECRET, step - 1), { now }), step - 1);
+        assert.equal(totp.verifyCode(RFC_SECRET, codeFor(RFC_SECRET, step + 1), { now }), step + 1);
+        assert.equal(totp.verifyCode(RFC_SECRET, codeFor(RFC_SECRET, step - 2), { now }), null);
+        assert.equal(totp.verifyCode(RFC_SECRET, codeFor(RFC_SECRET, step + 2), { now }), null);
+    });
+
+    it('refuses steps already used', () => {
+        const now = 1234567890 * 1000;
+        const step = Math.floor(now / 30000);
+        assert.equal(totp.verifyCode(RFC_SECRET, '005924', { now, after: step }), null);
+        assert.equal(totp.verifyCode(RFC_SECRET, '005924', { now, after: step - 1 }), step);
+    });
+
+    it('ignores spaces and rejects anything that is not six digits', () => {
+        const now = 59 * 1000;
+        assert.equal(totp.verifyCode(RFC_SECRET, '287 082', { now }), 1);
+        for (const code of ['28708', '2870820', 'abcdef', '', null, undefined, 287082.5]) {
+            assert.equal(totp.verifyCode(RFC_SECRET, code, { now }), null, String(code));
+        }
+    });
+
+    it('makes secrets and links authenticator apps can import', () => {
+        const secret = totp.generateSecret();
+        assert.match(secret, /^[A-Z2-7]{32}$/);
+        assert.notEqual(totp.generateSecret(), secret);
+        assert.equal(totp.otpauthUrl({ secret: 'ABC', account: 'a@example.org', issuer: 'Voice Notes' }),
+            'otpauth://totp/Voice%20Notes%3Aa%40example.org?secret=ABC&issuer=Voice%20Notes&algorithm=SHA1&digits=6&period=30');
+    });
+});
+
+describe('sign-in', () => {
+    const dataDir = makeDataDir();
+    let server;
+    let admin;
+
+    const login = (body) => server.client().post('/api/login', body);
+    const userId = async (email) => (await admin.get('/api/users')).body.find(user => user.email === email).id;
+
+    before(async () => {
+        server = await startServer({ dataDir, env: { LOGIN_MAX_ATTEMPTS: '3', LOGIN_RATE_MAX_PER_IP: '1000' } });
+        admin = await signInAsAdmin(server);
+    });
+
+    after(async () => {
+        await server.stop();
+        removeDataDir(dataDir);
+    });
+
+    it('locks an account after too many wrong passwords in a row, even to the right one', async () => {
+        const email = 'locked@example.org';
+        await signInAsStaff(server, admin, { email, role: 'reviewer' });
+
+        assert.equal((await login({ email, password: 'wrong password 1' })).status, 401);
+        assert.equal((await login({ email, password: 'wrong password 2' })).status, 401);
+        const third = await login({ email, password: 'wrong password 3' });
+        assert.equal(third.status, 429);
+        assert.match(third.body.message, /locked for 15 more minutes/);
+        assert.equal((await login({ email, password: ADMIN.password })).status, 429);
+
+        const unlocked = await admin.post('/api/users/unlock', { id: await userId(email) });
+        assert.equal(unlocked.status, 200);
+        assert.equal((await login({ email, password: ADMIN.password })).status, 200);
+    });
+
+    it('only counts failures in a row', async () => {
+        const email = 'forgetful@example.org';
+        await signInAsStaff(server, admin, { email, role: 'reviewer' });
+
+        for (let round = 0; round < 2; round++) {
+            assert.equal((await login({ email, password: 'wrong password 1' })).status, 401);
+            assert.equal((await login({ email, password: 'wrong password 2' })).status, 401);
+            assert.equal((await login({ email, password: ADMIN.password })).status, 200);
+        }
+    });
+
+    it('asks for a code once two-factor sign-in is on, and accepts each code only once', async () => {
+        const email = 'careful@example.org';
+        const staff = await signInAsStaff(server, admin, { email, role: 'reviewer' });
+        const setup = await staff.post('/api/account/totp/setup', { currentPassword: ADMIN.password });
+        assert.equal(setup.status, 200);
+        const { secret } = setup.body;
+        const step = currentStep();
+        const enabled = await staff.post('/api/account/totp/enable', { code: codeFor(secret, step) });
+        assert.equal(enabled.status, 200);
+        const [recoveryCode] = enabled.body.recoveryCodes;
+
+        const noCode = await login({ email, password: ADMIN.password });
+        assert.equal(noCode.status, 401);
+        assert.equal(noCode.body.twoFactorRequired, true);
+
+        // The code used to turn it on can't be used again; the next one can, once.
+        assert.equal((await login({ email, password: ADMIN.password, code: codeFor(secret, step) })).status, 401);
+        assert.equal((await login({ email, password: ADMIN.password, code: codeFor(secret, step + 1) })).status, 200);
+        assert.equal((await login({ email, password: ADMIN.password, code: codeFor(secret, step + 1) })).status, 401);
+
+        assert.equal((await login({ email, password: ADMIN.password, code: recoveryCode })).status, 200);
+        assert.equal((await login({ email, password: ADMIN.password, code: recoveryCode })).status, 401);
+    });
+});
@@ -0,0 +1,94 @@
+// test/fake-s3.js
+// Just enough of the S3 API, path-style, for the storage driver: put, get (with ranges), head, delete, copy
+// and list. Objects are kept in memory. Copy sources are split on their first slash before decoding, as S3
+// does, so a wrongly encoded source names a bucket that doesn't exist.
+const http = require('http');
+
+const escapeXml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Streamed uploads arrive aws-chunked: "<hex size>[;extensions]\r\n<data>\r\n" repeated, ending with a 0-size chunk.
+function decodeAwsChunked(body) {
+    const chunks = [];
+    let offset = 0;
+    for (;;) {
+        const lineEnd = body.indexOf('\r\n', offset);
+        const size = parseInt(body.toString('latin1', offset, lineEnd).split(';')[0], 16);
+        if (!size) break;
+        chunks.push(body.subarray(lineEnd + 2, lineEnd + 2 + size));
+        offset = lineEnd + 2 + size + 2;
+    }
+    return Buffer.concat(chunks);
+}
+
+function startFakeS3({ bucket = 'test-bucket' } = {}) {
+    const objects = new Map();
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const [requestBucket, ...keyParts] = url.pathname.slice(1).split('/');
+        const key = keyParts.map(decodeURIComponent).join('/');
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const fail = (status, code) => {
+                res.writeHead(status, { 'Content-Type': 'application/xml' });
+                res.end(req.method === 'HEAD' ? undefined : `<?xml version="1.0"?><Error><Code>${code}</Code></Error>`);
+            };
+            if (requestBucket !== bucket) return fail(404, 'NoSuchBucket');
+
+            if (req.method === 'GET' && url.searchParams.get('list-type') === '2') {
+                const prefix = url.searchParams.get('prefix') || '';
+                const contents = [...objects.keys()].filter(name => name.startsWith(prefix))
+                    .map(name => `<Contents><Key>${escapeXml(name)}</Key><Size>${objects.get(name).body.length}</Size></Contents>`);
+                res.writeHead(200, { 'Content-Type': 'application/xml' });
+                return res.end(`<?xml version="1.0"?><ListBucketResult><Name>${bucket}</Name><IsTruncated>false</IsTruncated>${contents.join('')}</ListBucketResult>`);
+            }
+
+            if (req.method === 'PUT' && req.headers['x-amz-copy-source']) {
+                const [sourceBucket, ...sourceParts] = req.headers['x-amz-copy-source'].replace(/^\//, '').split('/');
+                const source = objects.get(sourceParts.map(decodeURIComponent).join('/'));
+                if (sourceBucket !== bucket) return fail(404, 'NoSuchBucket');
+                if (!source) return fail(404, 'NoSuchKey');
+                objects.set(key, { body: source.body, sse: req.headers['x-amz-server-side-encryption'] });
+                res.writeHead(200, { 'Content-Type': 'application/xml' });
+                return res.end('<?xml version="1.0"?><CopyObjectResult><ETag>"copy"</ETag></CopyObjectResult>');
+            }
+
+            if (req.method === 'PUT') {
+                let body = Buffer.concat(chunks);
+                if (String(req.headers['content-encoding']).includes('aws-chunked') || String(req.headers['x-amz-content-sha256']).startsWith('STREAMING')) {
+                    body = decodeAwsChunked(body);
+                }
+                objects.set(key, { body, sse: req.headers['x-amz-server-side-encryption'] });
+                res.writeHead(200, { ETag: '"put"' });
+                return res.end();
+            }
+
+            if (req.method === 'DELETE') {
+                objects.delete(key);
+                res.writeHead(204);
+                return res.end();
+            }
+
+            const object = objects.get(key);
+            if (!object) return fail(404, 'NoSuchKey');
+            const range = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range || '');
+            const body = range ? object.body.subarray(Number(range[1]), Number(range[2]) + 1) : object.body;
+            const headers = { 'Content-Type': 'audio/mpeg', 'Content-Length': req.method === 'HEAD' ? object.body.length : body.length };
+            if (range) headers['Content-Range'] = `bytes ${range[1]}-${range[2]}/${object.body.length}`;
+            res.writeHead(range ? 206 : 200, headers);
+            res.end(req.method === 'HEAD' ? undefined : body);
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            bucket,
+            objects,
+            endpoint: `http://127.0.0.1:${server.address().port}`,
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
+
+module.exports = { startFakeS3 };
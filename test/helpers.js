@@ -0,0 +1,180 @@
+// test/helpers.js
+// Runs the real server against a throwaway data directory, with an API client that keeps its session
+// cookie and direct access to the server's database for setting up notes.
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const ROOT = path.join(__dirname, '..');
+const ADMIN = { email: 'admin@example.org', password: 'correct horse battery' };
+
+const makeDataDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'voicenote-test-'));
+const removeDataDir = (dataDir) => fs.rmSync(dataDir, { recursive: true, force: true });
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Polls until check() returns something truthy, and resolves with it.
+async function waitFor(check, { timeout = 10000, interval = 100, message = 'condition' } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${message}.`);
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+}
+
+function createClient(baseUrl) {
+    const cookies = new Map();
+    async function request(method, pathname, body) {
+        const headers = {};
+        if (cookies.size > 0) headers.Cookie = [...cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        const response = await fetch(baseUrl + pathname, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body),
+            redirect: 'manual'
+        });
+        response.headers.getSetCookie().forEach((cookie) => {
+            const [pair] = cookie.split(';');
+            const split = pair.indexOf('=');
+            cookies.set(pair.slice(0, split), pair.slice(split + 1));
+        });
+        const text = await response.text();
+        let data = text;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            // Not JSON (CSV, XML or HTML), so the text is returned as it is.
+        }
+        return { status: response.status, headers: response.headers, body: data };
+    }
+    return {
+        get: (pathname) => request('GET', pathname),
+        post: (pathname, body = {}) => request('POST', pathname, body)
+    };
+}
+
+function openDatabase(dataDir) {
+    const db = new sqlite3.Database(path.join(dataDir, 'database.sqlite'));
+    db.configure('busyTimeout', 5000);
+    const call = (method) => (sql, params = []) => new Promise((resolve, reject) => {
+        db[method](sql, params, function(err, result) {
+            if (err) return reject(err);
+            resolve(method === 'run' ? { lastID: this.lastID, changes: this.changes } : result);
+        });
+    });
+    return {
+        all: call('all'),
+        get: call('get'),
+        run: call('run'),
+        close: () => new Promise(resolve => db.close(resolve))
+    };
+}
+
+// Inserts a note as an upload would have left it. Any column can be overridden.
+let noteCount = 0;
+async function insertSubmission(db, fields = {}) {
+    noteCount++;
+    const now = new Date().toISOString();
+    const row = {
+        filename: `Test_${noteCount}-AB1.mp3`,
+        first_name: `Test ${noteCount}`,
+        postcode_district: 'AB1',
+        status: 'Needs Reviewing',
+        submitted_at: now,
+        consent_version: '2025-07-v1',
+        consent_given_at: now,
+        retention_expires_at: new Date(Date.now() + 240 * 24 * 60 * 60 * 1000).toISOString(),
+        receipt_code: `TEST-${String(noteCount).padStart(4, '0')}`,
+        audio_key: `${'0'.repeat(28)}${String(noteCount).padStart(4, '0')}`,
+        ...fields
+    };
+    const columns = Object.keys(row);
+    const { lastID } = await db.run(`INSERT INTO submissions (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(column => row[column]));
+    return { id: lastID, ...row };
+}
+
+// Starts server.js on a free port and resolves once it is listening and its migrations have run.
+async function startServer({ dataDir = makeDataDir(), env = {} } = {}) {
+    const port = await freePort();
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: ROOT,
+        env: {
+            ...process.env,
+            NODE_ENV: 'test',
+            RENDER_DISK_PATH: dataDir,
+            PORT: String(port),
+            SESSION_SECRET: 'test-session-secret',
+            STORAGE_DRIVER: 'local',
+            TRANSCRIBE_PROVIDER: 'none',
+            UPLOAD_POW_DIFFICULTY: '0',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    const url = `http://127.0.0.1:${port}`;
+    await Promise.race([
+        waitFor(() => output.includes('Server is running') && output.includes('Connected to the SQLite database.'), { message: 'the server to start' }),
+        exited.then(code => { throw new Error(`The server exited with code ${code}:\n${output}`); })
+    ]);
+    // Requests queue behind the migrations, so once one is answered the schema is complete.
+    await fetch(`${url}/feed.xml`);
+
+    return {
+        url,
+        dataDir,
+        get output() {
+            return output;
+        },
+        client: () => createClient(url),
+        async stop() {
+            if (child.exitCode === null) child.kill();
+            await exited;
+        }
+    };
+}
+
+// The first account registered on a new server is an admin.
+async function signInAsAdmin(server) {
+    const client = server.client();
+    await client.post('/api/register', ADMIN);
+    const { status, body } = await client.post('/api/login', ADMIN);
+    if (status !== 200) throw new Error(`Could not sign in: ${body.message}`);
+    return client;
+}
+
+// Invites and registers another member of staff, and resolves with a client signed in as them.
+async function signInAsStaff(server, admin, { email, role, password = ADMIN.password }) {
+    const invite = await admin.post('/api/invites', { email, role });
+    if (invite.status !== 201) throw new Error(`Could not create an invite: ${invite.body.message}`);
+    const client = server.client();
+    const registered = await client.post('/api/register', { email, password, inviteToken: invite.body.token });
+    if (registered.status !== 201) throw new Error(`Could not register ${email}: ${registered.body.message}`);
+    const { status, body } = await client.post('/api/login', { email, password });
+    if (status !== 200) throw new Error(`Could not sign in as ${email}: ${body.message}`);
+    return client;
+}
+
+module.exports = {
+    ADMIN, makeDataDir, removeDataDir, waitFor, createClient, openDatabase, insertSubmission, startServer, signInAsAdmin, signInAsStaff
+};
@@ -0,0 +1,125 @@
+// Recordings are deleted once their retention period ends, withdrawn notes are erased straight away, and
+// notes from before retention was enforced get a grace period rather than being purged at the first run.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { makeDataDir, removeDataDir, waitFor, openDatabase, insertSubmission, startServer } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysFromNow = (days) => new Date(Date.now() + days * DAY_MS).toISOString();
+
+function writeAudio(dataDir, folder, audioKey) {
+    fs.mkdirSync(path.join(dataDir, folder), { recursive: true });
+    const filePath = path.join(dataDir, folder, `${audioKey}.mp3`);
+    fs.writeFileSync(filePath, 'audio');
+    return filePath;
+}
+
+describe('retention', () => {
+    const dataDir = makeDataDir();
+    let server;
+    let db;
+
+    before(async () => {
+        server = await startServer({ dataDir, env: { RETENTION_CHECK_INTERVAL_MS: '200' } });
+        db = openDatabase(dataDir);
+    });
+
+    after(async () => {
+        await db.close();
+        await server.stop();
+        removeDataDir(dataDir);
+    });
+
+    it('deletes expired notes and their audio, and logs the deletion', async () => {
+        const expired = await insertSubmission(db, { retention_expires_at: daysFromNow(-1) });
+        const files = ['uploads', 'originals'].map(folder => writeAudio(dataDir, folder, expired.audio_key));
+
+        await waitFor(async () => !await db.get('SELECT id FROM submissions WHERE id = ?', [expired.id]), { message: 'the note to be deleted' });
+        files.forEach(filePath => assert.equal(fs.existsSync(filePath), false));
+        const log = await db.get('SELECT action, files_removed FROM retention_log WHERE submission_id = ?', [expired.id]);
+        assert.deepEqual({ ...log }, { action: 'deleted', files_removed: 2 });
+    });
+
+    it('keeps notes that have not expired', async () => {
+        const current = await insertSubmission(db, { retention_expires_at: daysFromNow(1) });
+        const filePath = writeAudio(dataDir, 'uploads', current.audio_key);
+        const expired = await insertSubmission(db, { retention_expires_at: daysFromNow(-1) });
+
+        await waitFor(async () => !await db.get('SELECT id FROM submissions WHERE id = ?', [expired.id]), { message: 'a retention run' });
+        assert.ok(await db.get('SELECT id FROM submissions WHERE id = ? AND purged_at IS NULL', [current.id]));
+        assert.equal(fs.existsSync(filePath), true);
+    });
+
+    it('erases withdrawn notes whatever their expiry date, and records the erasure', async () => {
+        // Withdrawn only once its history and audio are in place, so the erasure can't run first.
+        const withdrawn = await insertSubmission(db);
+        await db.run(`INSERT INTO audit_log (created_at, actor, action, submission_id, target, ip) VALUES (?, 'staff@example.org', 'approved', ?, ?, '203.0.113.9')`,
+            [new Date().toISOString(), withdrawn.id, withdrawn.filename]);
+        await db.run('INSERT INTO withdrawal_requests (submission_id, receipt_code, requested_at) VALUES (?, ?, ?)',
+            [withdrawn.id, withdrawn.receipt_code, new Date().toISOString()]);
+        const filePath = writeAudio(dataDir, 'uploads', withdrawn.audio_key);
+        await db.run(`UPDATE submissions SET status = 'Withdrawn', withdrawn_at = ? WHERE id = ?`, [new Date().toISOString(), withdrawn.id]);
+
+        await waitFor(async () => !await db.get('SELECT id FROM submissions WHERE id = ?', [withdrawn.id]), { message: 'the note to be erased' });
+        assert.equal(fs.existsSync(filePath), false);
+        const request = await db.get('SELECT erased_at FROM withdrawal_requests WHERE submission_id = ?', [withdrawn.id]);
+        assert.ok(request.erased_at);
+        // IDs of deleted notes are reused, so only the latest entry is this note's.
+        const log = await db.get('SELECT action FROM retention_log WHERE submission_id = ? ORDER BY id DESC', [withdrawn.id]);
+        assert.equal(log.action, 'erased on withdrawal');
+        const history = await db.get(`SELECT target, ip FROM audit_log WHERE submission_id = ? AND action = 'approved' ORDER BY id DESC`, [withdrawn.id]);
+        assert.deepEqual({ ...history }, { target: null, ip: null });
+    });
+
+    it('gives notes from before retention was enforced a grace period instead of purging them', async () => {
+        await server.stop();
+        const legacy = await insertSubmission(db, { submitted_at: daysFromNow(-730), consent_version: null, consent_given_at: null, retention_expires_at: null });
+        const recent = await insertSubmission(db, { submitted_at: daysFromNow(-10), consent_version: null, consent_given_at: null, retention_expires_at: null });
+        server = await startServer({ dataDir, env: { RETENTION_CHECK_INTERVAL_MS: '200', RETENTION_LEGACY_GRACE_DAYS: '30' } });
+
+        // Give the retention job a few runs to get things wrong.
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        const legacyRow = await db.get('SELECT retention_expires_at, purged_at FROM submissions WHERE id = ?', [legacy.id]);
+        assert.ok(legacyRow, 'the two-year-old note was deleted');
+        assert.equal(legacyRow.purged_at, null);
+        const graceEnds = new Date(legacyRow.retention_expires_at).getTime() - Date.now();
+        assert.ok(graceEnds > 29 * DAY_MS && graceEnds <= 30 * DAY_MS, `expires in ${graceEnds} ms`);
+
+        // A note whose eight months end after the grace period keeps its own date.
+        const recentRow = await db.get('SELECT retention_expires_at FROM submissions WHERE id = ?', [recent.id]);
+        const expected = new Date(recent.submitted_at);
+        expected.setUTCMonth(expected.getUTCMonth() + 8);
+        assert.equal(recentRow.retention_expires_at.slice(0, 10), expected.toISOString().slice(0, 10));
+    });
+});
+
+describe('retention in anonymise mode', () => {
+    const dataDir = makeDataDir();
+    let server;
+    let db;
+
+    before(async () => {
+        server = await startServer({ dataDir, env: { RETENTION_CHECK_INTERVAL_MS: '200', RETENTION_MODE: 'anonymise' } });
+        db = openDatabase(dataDir);
+    });
+
+    after(async () => {
+        await db.close();
+        await server.stop();
+        removeDataDir(dataDir);
+    });
+
+    it('keeps a row for statistics but removes the audio and personal details', async () => {
+        const expired = await insertSubmission(db, { retention_expires_at: daysFromNow(-1) });
+        const filePath = writeAudio(dataDir, 'uploads', expired.audio_key);
+
+        const row = await waitFor(() => db.get('SELECT * FROM submissions WHERE id = ? AND purged_at IS NOT NULL', [expired.id]), { message: 'the note to be anonymised' });
+        assert.equal(row.status, 'Expired');
+        assert.equal(row.filename, `expired-${expired.id}`);
+        assert.equal(row.first_name, null);
+        assert.equal(row.postcode_district, 'AB1');
+        assert.equal(fs.existsSync(filePath), false);
+    });
+});
@@ -0,0 +1,180 @@
+// Both storage drivers offer the same methods and behave the same way, and migrate-storage.js copies
+// everything from the local disk to S3 without touching the originals.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { text } = require('stream/consumers');
+const { createStorage } = require('../storage');
+const { makeDataDir, removeDataDir } = require('./helpers');
+const { startFakeS3 } = require('./fake-s3');
+
+const s3Env = (s3, extra = {}) => ({
+    STORAGE_DRIVER: 's3',
+    S3_BUCKET: s3.bucket,
+    S3_REGION: 'us-east-1',
+    S3_ENDPOINT: s3.endpoint,
+    S3_FORCE_PATH_STYLE: 'true',
+    S3_ACCESS_KEY_ID: 'test',
+    S3_SECRET_ACCESS_KEY: 'test',
+    ...extra
+});
+
+// Writes a temporary file for putFile to move into storage.
+function scratchFile(dataDir, contents) {
+    const filePath = path.join(dataDir, `scratch-${Math.random().toString(36).slice(2)}`);
+    fs.writeFileSync(filePath, contents);
+    return filePath;
+}
+
+function describeDriver(name, setUp) {
+    describe(`${name} storage`, () => {
+        const dataDir = makeDataDir();
+        let storage;
+        let tearDown;
+
+        before(async () => {
+            ({ storage, tearDown } = await setUp(dataDir));
+        });
+
+        after(async () => {
+            if (tearDown) await tearDown();
+            removeDataDir(dataDir);
+        });
+
+        it('stores a file, moving it out of its temporary location', async () => {
+            const filePath = scratchFile(dataDir, 'hello, world');
+            await storage.putFile('uploads/one.mp3', filePath);
+            assert.equal(fs.existsSync(filePath), false);
+            assert.deepEqual(await storage.stat('uploads/one.mp3'), { size: 12 });
+            assert.equal(await storage.stat('uploads/missing.mp3'), null);
+        });
+
+        it('reads a whole object or a byte range', async () => {
+            await storage.putFile('uploads/two.mp3', scratchFile(dataDir, '0123456789'));
+            assert.equal(await text(await storage.createReadStream('uploads/two.mp3')), '0123456789');
+            assert.equal(await text(await storage.createReadStream('uploads/two.mp3', { start: 2, end: 5 })), '2345');
+
+            const copyPath = path.join(dataDir, 'downloaded');
+            await storage.downloadFile('uploads/two.mp3', copyPath);
+            assert.equal(fs.readFileSync(copyPath, 'utf8'), '0123456789');
+        });
+
+        it('moves objects, including keys that need encoding', async () => {
+            await storage.putFile('uploads/Zoë O’Neil+1 & co.mp3', scratchFile(dataDir, 'moved'));
+            await storage.move('uploads/Zoë O’Neil+1 & co.mp3', 'sent_to_spotify/Zoë O’Neil+1 & co.mp3');
+            assert.equal(await storage.stat('uploads/Zoë O’Neil+1 & co.mp3'), null);
+            assert.equal(await text(await storage.createReadStream('sent_to_spotify/Zoë O’Neil+1 & co.mp3')), 'moved');
+        });
+
+        it('lists the keys under a folder', async () => {
+            await storage.putFile('originals/a.mp3', scratchFile(dataDir, 'a'));
+            await storage.putFile('originals/b.mp3', scratchFile(dataDir, 'b'));
+            assert.deepEqual((await storage.list('originals')).sort(), ['originals/a.mp3', 'originals/b.mp3']);
+            assert.deepEqual(await storage.list('exports'), []);
+        });
+
+        it('reports whether a removal deleted anything', async () => {
+            await storage.putFile('uploads/gone.mp3', scratchFile(dataDir, 'bye'));
+            assert.equal(await storage.remove('uploads/gone.mp3'), true);
+            assert.equal(await storage.remove('uploads/gone.mp3'), false);
+            assert.equal(await storage.stat('uploads/gone.mp3'), null);
+        });
+    });
+}
+
+describeDriver('local', async (dataDir) => ({ storage: createStorage({ dataDir, env: {} }) }));
+
+describeDriver('s3', async () => {
+    const s3 = await startFakeS3();
+    return { storage: createStorage({ dataDir: null, env: s3Env(s3) }), tearDown: s3.close };
+});
+
+describe('storage configuration', () => {
+    it('keeps local keys inside the data directory', async () => {
+        const dataDir = makeDataDir();
+        const storage = createStorage({ dataDir, env: {} });
+        await assert.rejects(() => storage.stat('../outside.mp3'), /Invalid storage key/);
+        await assert.rejects(() => storage.createReadStream('uploads/../../outside.mp3'), /Invalid storage key/);
+        removeDataDir(dataDir);
+    });
+
+    it('refuses unknown drivers and S3 without a bucket', () => {
+        assert.throws(() => createStorage({ dataDir: '.', env: { STORAGE_DRIVER: 'ftp' } }), /Unknown storage driver/);
+        assert.throws(() => createStorage({ dataDir: '.', env: { STORAGE_DRIVER: 's3' } }), /S3_BUCKET/);
+    });
+
+    it('writes S3 objects under the prefix, encrypted when asked, including copies', async () => {
+        const s3 = await startFakeS3();
+        const dataDir = makeDataDir();
+        try {
+            const storage = createStorage({ dataDir, env: s3Env(s3, { S3_PREFIX: 'voicenotes/', S3_SSE: 'AES256' }) });
+            await storage.putFile('uploads/key.mp3', scratchFile(dataDir, 'secret'));
+            await storage.move('uploads/key.mp3', 'sent_to_spotify/key.mp3');
+            assert.deepEqual([...s3.objects.keys()], ['voicenotes/sent_to_spotify/key.mp3']);
+            assert.equal(s3.objects.get('voicenotes/sent_to_spotify/key.mp3').sse, 'AES256');
+            assert.deepEqual(await storage.list('sent_to_spotify'), ['sent_to_spotify/key.mp3']);
+        } finally {
+            await s3.close();
+            removeDataDir(dataDir);
+        }
+    });
+});
+
+describe('migrate-storage.js', () => {
+    const dataDir = makeDataDir();
+    let s3;
+
+    const migrate = (...args) => new Promise((resolve) => {
+        execFile(process.execPath, [path.join(__dirname, '..', 'migrate-storage.js'), ...args], {
+            env: { ...process.env, ...s3Env(s3), STORAGE_DRIVER: 'local', RENDER_DISK_PATH: dataDir },
+            timeout: 60000
+        }, (err, stdout, stderr) => resolve({ code: err ? err.code : 0, output: stdout + stderr }));
+    });
+
+    before(async () => {
+        s3 = await startFakeS3();
+        for (const [folder, name, contents] of [['uploads', 'a.mp3', 'first'], ['uploads', 'b.mp3', 'second'], ['originals', 'a.mp3', 'original']]) {
+            fs.mkdirSync(path.join(dataDir, folder), { recursive: true });
+            fs.writeFileSync(path.join(dataDir, folder, name), contents);
+        }
+    });
+
+    after(async () => {
+        await s3.close();
+        removeDataDir(dataDir);
+    });
+
+    it('copies nothing on a dry run', async () => {
+        const { code, output } = await migrate('--from', 'local', '--to', 's3', '--dry-run');
+        assert.equal(code, 0, output);
+        assert.match(output, /3 to copy, 0 already present, 0 failed/);
+        assert.equal(s3.objects.size, 0);
+    });
+
+    it('copies every file and keeps the originals', async () => {
+        const { code, output } = await migrate('--from', 'local', '--to', 's3');
+        assert.equal(code, 0, output);
+        assert.match(output, /3 copied, 0 already present, 0 failed/);
+        assert.deepEqual(Object.fromEntries([...s3.objects].map(([key, object]) => [key, object.body.toString()])), {
+            'uploads/a.mp3': 'first',
+            'uploads/b.mp3': 'second',
+            'originals/a.mp3': 'original'
+        });
+        assert.equal(fs.readFileSync(path.join(dataDir, 'uploads', 'a.mp3'), 'utf8'), 'first');
+    });
+
+    it('skips files that already match and copies ones that differ when run again', async () => {
+        s3.objects.get('uploads/b.mp3').body = Buffer.from('damaged');
+        const { code, output } = await migrate('--from', 'local', '--to', 's3');
+        assert.equal(code, 0, output);
+        assert.match(output, /1 copied, 2 already present, 0 failed/);
+        assert.equal(s3.objects.get('uploads/b.mp3').body.toString(), 'second');
+    });
+
+    it('refuses to run without two different drivers', async () => {
+        const { code } = await migrate('--from', 'local', '--to', 'local');
+        assert.equal(code, 2);
+    });
+});
@@ -0,0 +1,131 @@
+// The staff list of notes: filters, search, status counts and cursor paging.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { makeDataDir, removeDataDir, openDatabase, insertSubmission, startServer, signInAsAdmin } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('GET /api/submissions', () => {
+    const dataDir = makeDataDir();
+    const start = Date.UTC(2025, 5, 1, 9);
+    let server;
+    let db;
+    let staff;
+    let notes;
+    let otherCampaignId;
+
+    const list = async (query) => {
+        const response = await staff.get(`/api/submissions?${new URLSearchParams(query)}`);
+        assert.equal(response.status, 200, response.body.message);
+        return response.body;
+    };
+    const ids = (body) => body.submissions.map(sub => sub.id);
+
+    before(async () => {
+        server = await startServer({ dataDir });
+        staff = await signInAsAdmin(server);
+        db = openDatabase(dataDir);
+        const { id: defaultCampaignId } = await db.get('SELECT id FROM campaigns ORDER BY id LIMIT 1');
+        ({ lastID: otherCampaignId } = await db.run(`INSERT INTO campaigns (slug, name, consent_version, created_at) VALUES ('other', 'Other', 'v1', ?)`,
+            [new Date().toISOString()]));
+
+        // One note an hour from 1 June 2025, alternating statuses; every fifth note is in the other campaign.
+        notes = [];
+        for (let i = 0; i < 30; i++) {
+            notes.push(await insertSubmission(db, {
+                filename: `Note_${i}-${i % 3 === 0 ? 'NW11' : 'SE1'}.mp3`,
+                postcode_district: i % 3 === 0 ? 'NW11' : 'SE1',
+                status: ['Needs Reviewing', 'Approved', 'Binned'][i % 3 === 0 ? 0 : i % 2 + 1],
+                submitted_at: new Date(start + i * HOUR_MS).toISOString(),
+                campaign_id: i % 5 === 0 ? otherCampaignId : defaultCampaignId,
+                tags: i % 4 === 0 ? 'choir,story' : null,
+                duration_seconds: 100 - i
+            }));
+        }
+        await db.run(`INSERT INTO transcripts (submission_id, status, text) VALUES (?, 'done', 'I sang in the 100% volunteer choir')`, [notes[7].id]);
+    });
+
+    after(async () => {
+        await db.close();
+        await server.stop();
+        removeDataDir(dataDir);
+    });
+
+    it('requires a signed-in user', async () => {
+        const response = await server.client().get('/api/submissions');
+        assert.equal(response.status, 401);
+    });
+
+    it('pages through every note, newest first, without repeats', async () => {
+        const seen = [];
+        let cursor = null;
+        let pages = 0;
+        do {
+            const body = await list(cursor ? { limit: 12, cursor } : { limit: 12 });
+            assert.ok(body.submissions.length <= 12);
+            seen.push(...ids(body));
+            cursor = body.nextCursor;
+            pages++;
+        } while (cursor);
+        assert.equal(pages, 3);
+        assert.deepEqual(seen, notes.map(note => note.id).reverse());
+    });
+
+    it('sorts by other columns and pages them the same way', async () => {
+        const first = await list({ sort: 'duration', limit: 20 });
+        const second = await list({ sort: 'duration', limit: 20, cursor: first.nextCursor });
+        assert.equal(second.nextCursor, null);
+        assert.deepEqual([...ids(first), ...ids(second)], notes.map(note => note.id).reverse());
+    });
+
+    it('rejects a cursor it did not issue', async () => {
+        const response = await staff.get('/api/submissions?cursor=not-a-cursor');
+        assert.equal(response.status, 400);
+    });
+
+    it('filters by status and counts every status matching the rest of the search', async () => {
+        const body = await list({ status: 'Approved,Binned', postcode: 'se 1', limit: 100 });
+        const expected = notes.filter(note => note.postcode_district === 'SE1');
+        assert.deepEqual(ids(body).sort((a, b) => a - b), expected.map(note => note.id));
+        assert.deepEqual(body.counts, { Approved: 10, Binned: 10 });
+
+        const all = await list({ status: 'Needs Reviewing', limit: 100 });
+        assert.equal(all.submissions.length, 10);
+        assert.deepEqual(all.counts, { 'Needs Reviewing': 10, Approved: 10, Binned: 10 });
+    });
+
+    it('filters by campaign, tag and date range, with the end date inclusive', async () => {
+        const campaign = await list({ campaign: otherCampaignId, limit: 100 });
+        assert.deepEqual(ids(campaign).sort((a, b) => a - b), notes.filter((note, i) => i % 5 === 0).map(note => note.id));
+        assert.ok(campaign.submissions.every(sub => sub.campaign_name === 'Other'));
+
+        const tagged = await list({ tag: 'story', limit: 100 });
+        assert.equal(tagged.submissions.length, 8);
+        const untagged = await list({ tag: 'none', limit: 100 });
+        assert.equal(untagged.submissions.length, 22);
+
+        // Notes run from 09:00 on 1 June to 14:00 on 2 June.
+        const dated = await list({ from: '2025-06-02', to: '2025-06-02', limit: 100 });
+        assert.deepEqual(ids(dated).sort((a, b) => a - b), notes.slice(15).map(note => note.id));
+    });
+
+    it('searches filenames and transcripts, treating wildcards literally', async () => {
+        assert.deepEqual(ids(await list({ q: 'Note_12-' })), [notes[12].id]);
+        assert.deepEqual(ids(await list({ q: 'volunteer choir' })), [notes[7].id]);
+        assert.deepEqual(ids(await list({ q: '100%' })), [notes[7].id]);
+        assert.deepEqual(ids(await list({ q: '%' })), [notes[7].id]);
+    });
+
+    it('never includes receipt codes, in the list of notes or of withdrawals', async () => {
+        const body = await list({ limit: 100 });
+        assert.ok(body.submissions.every(sub => !('receipt_code' in sub)));
+
+        await db.run('INSERT INTO withdrawal_requests (submission_id, receipt_code, requested_at) VALUES (?, ?, ?)',
+            [notes[0].id, notes[0].receipt_code, new Date().toISOString()]);
+        const withdrawals = await staff.get('/api/withdrawals');
+        assert.equal(withdrawals.status, 200);
+        assert.equal(withdrawals.body.length, 1);
+        assert.deepEqual(Object.keys(withdrawals.body[0]).sort(), ['erased_at', 'id', 'requested_at', 'submission_id']);
+        assert.doesNotMatch(JSON.stringify(withdrawals.body), new RegExp(notes[0].receipt_code));
+    });
+});
@@ -0,0 +1,248 @@
+// Outbound webhooks: what is sent and how it is signed, retries with backoff, redelivery, and the rule that
+// endpoints must be public https:// addresses.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { makeDataDir, removeDataDir, waitFor, openDatabase, insertSubmission, startServer, signInAsAdmin } = require('./helpers');
+
+// A partner's endpoint. Answers each request with the next status in `responses`, or 200 once they run out.
+function startReceiver() {
+    const received = [];
+    const responses = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            received.push({ at: Date.now(), headers: req.headers, body: Buffer.concat(chunks).toString() });
+            res.writeHead(responses.length > 0 ? responses.shift() : 200);
+            res.end('received');
+        });
+    });
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            received,
+            responses,
+            port: server.address().port,
+            url: `http://127.0.0.1:${server.address().port}/hooks`,
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
+
+// What a receiver should do with X-Webhook-Signature.
+function verifySignature(secret, header, body) {
+    const { t, v1 } = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const expected = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+    return { timestamp: Number(t), valid: crypto.timingSafeEqual(Buffer.from(v1, 'hex'), Buffer.from(expected, 'hex')) };
+}
+
+describe('webhook deliveries', () => {
+    const dataDir = makeDataDir();
+    let server;
+    let receiver;
+    let admin;
+    let db;
+
+    const deliveries = async (webhookId) => (await admin.get(`/api/webhooks/${webhookId}/deliveries`)).body;
+    const addWebhook = async (events) => {
+        const response = await admin.post('/api/webhooks', { url: receiver.url, events });
+        assert.equal(response.status, 201, response.body.message);
+        return response.body;
+    };
+    const approve = (note) => admin.post('/api/submission/status', { filename: note.filename, transition: 'approve' });
+
+    before(async () => {
+        receiver = await startReceiver();
+        // The receiver is on this machine, so private addresses have to be allowed here.
+        server = await startServer({
+            dataDir,
+            env: { WEBHOOK_ALLOW_PRIVATE_TARGETS: 'true', WEBHOOK_POLL_INTERVAL_MS: '100', WEBHOOK_RETRY_BASE_SECONDS: '1', WEBHOOK_MAX_ATTEMPTS: '3' }
+        });
+        admin = await signInAsAdmin(server);
+        db = openDatabase(dataDir);
+    });
+
+    after(async () => {
+        await db.close();
+        await server.stop();
+        await receiver.close();
+        removeDataDir(dataDir);
+    });
+
+    it('sends signed events that say nothing about who the contributor is', async () => {
+        const hook = await addWebhook(['submission.approved']);
+        const note = await insertSubmission(db, { filename: 'Zoe-NW11.mp3', first_name: 'Zoe', postcode_district: 'NW11', duration_seconds: 12.5 });
+        receiver.received.length = 0;
+        assert.equal((await approve(note)).status, 200);
+
+        const [request] = await waitFor(() => receiver.received.length > 0 && receiver.received, { message: 'the event to arrive' });
+        const { timestamp, valid } = verifySignature(hook.secret, request.headers['x-webhook-signature'], request.body);
+        assert.equal(valid, true);
+        assert.ok(Math.abs(Date.now() / 1000 - timestamp) < 60);
+
+        const event = JSON.parse(request.body);
+        assert.equal(event.type, 'submission.approved');
+        assert.equal(request.headers['x-webhook-event'], 'submission.approved');
+        assert.equal(request.headers['x-webhook-id'], event.id);
+        assert.deepEqual(Object.keys(event.data.submission).sort(),
+            ['campaign', 'campaign_name', 'duration_seconds', 'id', 'prompt', 'status', 'status_changed_at', 'submitted_at']);
+        assert.equal(event.data.submission.id, note.id);
+        assert.equal(event.data.submission.status, 'Approved');
+        assert.doesNotMatch(request.body, /Zoe|NW11|TEST-/);
+
+        await admin.post(`/api/webhooks/${hook.id}/delete`);
+    });
+
+    it('only sends the events an endpoint subscribed to', async () => {
+        const hook = await addWebhook(['submission.binned']);
+        receiver.received.length = 0;
+        await approve(await insertSubmission(db));
+        const binned = await insertSubmission(db);
+        await admin.post('/api/submission/status', { filename: binned.filename, transition: 'bin', rejectionReason: 'Background noise' });
+
+        await waitFor(() => receiver.received.length > 0, { message: 'the binned event' });
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assert.deepEqual(receiver.received.map(request => request.headers['x-webhook-event']), ['submission.binned']);
+        await admin.post(`/api/webhooks/${hook.id}/delete`);
+    });
+
+    it('retries failed deliveries, waiting twice as long each time, with the same event ID', async () => {
+        const hook = await addWebhook(['submission.approved']);
+        receiver.received.length = 0;
+        receiver.responses.push(500, 503);
+        await approve(await insertSubmission(db));
+
+        await waitFor(() => receiver.received.length === 3, { message: 'three attempts' });
+        const [first, second, third] = receiver.received;
+        assert.ok(second.at - first.at >= 1000, `first retry after ${second.at - first.at} ms`);
+        assert.ok(third.at - second.at >= 2000, `second retry after ${third.at - second.at} ms`);
+        assert.equal(new Set(receiver.received.map(request => request.headers['x-webhook-id'])).size, 1);
+
+        const [delivery] = await waitFor(async () => {
+            const rows = await deliveries(hook.id);
+            return rows[0] && rows[0].status === 'succeeded' && rows;
+        }, { message: 'the delivery to be marked as sent' });
+        assert.equal(delivery.attempts, 3);
+        assert.equal(delivery.response_status, 200);
+        await admin.post(`/api/webhooks/${hook.id}/delete`);
+    });
+
+    it('gives up after the last attempt, and can send the event again by hand', async () => {
+        const hook = await addWebhook(['submission.approved']);
+        receiver.received.length = 0;
+        receiver.responses.push(500, 500, 500);
+        await approve(await insertSubmission(db));
+
+        const [failed] = await waitFor(async () => {
+            const rows = await deliveries(hook.id);
+            return rows[0] && rows[0].status === 'failed' && rows;
+        }, { message: 'the delivery to fail' });
+        assert.equal(failed.attempts, 3);
+        assert.equal(failed.error, 'The endpoint responded with 500.');
+        assert.equal(receiver.received.length, 3);
+
+        assert.equal((await admin.post(`/api/webhook-deliveries/${failed.id}/redeliver`)).status, 200);
+        const [redelivery] = await waitFor(async () => {
+            const rows = await deliveries(hook.id);
+            return rows[0].id !== failed.id && rows[0].status === 'succeeded' && rows;
+        }, { message: 'the redelivery' });
+        assert.equal(redelivery.redelivery_of, failed.id);
+        assert.equal(redelivery.event_id, failed.event_id);
+        assert.equal(receiver.received[3].headers['x-webhook-id'], failed.event_id);
+        await admin.post(`/api/webhooks/${hook.id}/delete`);
+    });
+
+    it('signs with the new secret once it has been replaced', async () => {
+        const hook = await addWebhook(['submission.approved']);
+        const { secret } = (await admin.post(`/api/webhooks/${hook.id}/rotate-secret`)).body;
+        receiver.received.length = 0;
+        await admin.post(`/api/webhooks/${hook.id}/test`);
+
+        const [request] = await waitFor(() => receiver.received.length > 0 && receiver.received, { message: 'the test event' });
+        assert.equal(JSON.parse(request.body).type, 'webhook.ping');
+        assert.equal(verifySignature(secret, request.headers['x-webhook-signature'], request.body).valid, true);
+        assert.equal(verifySignature(hook.secret, request.headers['x-webhook-signature'], request.body).valid, false);
+        await admin.post(`/api/webhooks/${hook.id}/delete`);
+    });
+});
+
+describe('webhook addresses', () => {
+    const dataDir = makeDataDir();
+    let server;
+    let receiver;
+    let admin;
+    let db;
+
+    before(async () => {
+        receiver = await startReceiver();
+        server = await startServer({ dataDir, env: { WEBHOOK_POLL_INTERVAL_MS: '100' } });
+        admin = await signInAsAdmin(server);
+        db = openDatabase(dataDir);
+    });
+
+    after(async () => {
+        await db.close();
+        await server.stop();
+        await receiver.close();
+        removeDataDir(dataDir);
+    });
+
+    it('refuses http:// and anything on this machine or a private network', async () => {
+        const urls = [
+            'http://partner.example.org/hooks',
+            'https://localhost/hooks',
+            'https://127.0.0.1/hooks',
+            'https://2130706433/hooks',
+            'https://169.254.169.254/latest/meta-data',
+            'https://10.0.0.1/hooks',
+            'https://172.16.5.4/hooks',
+            'https://192.168.1.1/hooks',
+            'https://100.64.0.1/hooks',
+            'https://0.0.0.0/hooks',
+            'https://[::1]/hooks',
+            'https://[fd00::1]/hooks',
+            'https://[fe80::1]/hooks',
+            'https://[::ffff:127.0.0.1]/hooks',
+            'https://[::ffff:a9fe:a9fe]/hooks',
+            'ftp://partner.example.org/hooks',
+            'not a url'
+        ];
+        for (const url of urls) {
+            const response = await admin.post('/api/webhooks', { url, events: ['submission.approved'] });
+            assert.equal(response.status, 400, url);
+        }
+        assert.deepEqual((await admin.get('/api/webhooks')).body.webhooks, []);
+    });
+
+    it('refuses addresses that cannot be found', async () => {
+        const response = await admin.post('/api/webhooks', { url: 'https://no-such-host.invalid/hooks', events: ['submission.approved'] });
+        assert.equal(response.status, 400);
+        assert.match(response.body.message, /Could not find no-such-host\.invalid/);
+    });
+
+    it('accepts public https:// addresses', async () => {
+        const response = await admin.post('/api/webhooks', { url: 'https://93.184.215.14/hooks', events: ['submission.approved'] });
+        assert.equal(response.status, 201, response.body.message);
+        await admin.post(`/api/webhooks/${response.body.id}/delete`);
+    });
+
+    it('checks endpoints saved before these rules again when delivering', async () => {
+        const now = new Date().toISOString();
+        for (const url of [receiver.url, `https://localhost:${receiver.port}/hooks`]) {
+            await db.run(`INSERT INTO webhooks (url, events, secret, active, created_at, updated_at) VALUES (?, '["submission.approved"]', 'whsec_test', 1, ?, ?)`,
+                [url, now, now]);
+        }
+        await admin.post('/api/submission/status', { filename: (await insertSubmission(db)).filename, transition: 'approve' });
+
+        const rows = await waitFor(async () => {
+            const found = await db.all('SELECT webhooks.url, webhook_deliveries.error FROM webhook_deliveries JOIN webhooks ON webhooks.id = webhook_id');
+            return found.length === 2 && found.every(row => row.error) && found;
+        }, { message: 'both deliveries to be refused' });
+        assert.deepEqual(Object.fromEntries(rows.map(row => [row.url, row.error])), {
+            [receiver.url]: 'Webhook addresses must start with https://.',
+            [`https://localhost:${receiver.port}/hooks`]: 'localhost resolves to a private or local address.'
+        });
+        assert.equal(receiver.received.length, 0);
+    });
+});
@@ -0,0 +1,133 @@
+// Status changes made by staff: which moves are allowed, who may make them, and the history they leave.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { makeDataDir, removeDataDir, openDatabase, insertSubmission, startServer, signInAsAdmin, signInAsStaff } = require('./helpers');
+
+describe('POST /api/submission/status', () => {
+    const dataDir = makeDataDir();
+    let server;
+    let db;
+    let admin;
+    let reviewer;
+    let readOnly;
+
+    const status = (id) => db.get('SELECT status, approved_by, rejection_reason FROM submissions WHERE id = ?', [id]);
+
+    before(async () => {
+        server = await startServer({ dataDir });
+        admin = await signInAsAdmin(server);
+        reviewer = await signInAsStaff(server, admin, { email: 'reviewer@example.org', role: 'reviewer' });
+        readOnly = await signInAsStaff(server, admin, { email: 'viewer@example.org', role: 'read-only' });
+        db = openDatabase(dataDir);
+    });
+
+    after(async () => {
+        await db.close();
+        await server.stop();
+        removeDataDir(dataDir);
+    });
+
+    it('approves a note and records who did it', async () => {
+        const note = await insertSubmission(db);
+        const response = await reviewer.post('/api/submission/status', { filename: note.filename, transition: 'approve' });
+        assert.equal(response.status, 200);
+        assert.deepEqual({ ...await status(note.id) }, { status: 'Approved', approved_by: 'reviewer@example.org', rejection_reason: null });
+
+        const history = await reviewer.get(`/api/submission/${note.id}/status-history`);
+        assert.deepEqual(history.body.map(({ transition, from_status, to_status, actor }) => ({ transition, from_status, to_status, actor })),
+            [{ transition: 'approve', from_status: 'Needs Reviewing', to_status: 'Approved', actor: 'reviewer@example.org' }]);
+    });
+
+    it('refuses moves the current status does not allow', async () => {
+        const note = await insertSubmission(db, { status: 'Approved' });
+        const response = await reviewer.post('/api/submission/status', { filename: note.filename, transition: 'restore' });
+        assert.equal(response.status, 409);
+        assert.equal((await status(note.id)).status, 'Approved');
+    });
+
+    it('keeps system moves and unknown names out of staff hands', async () => {
+        const note = await insertSubmission(db, { status: 'Approved' });
+        for (const transition of ['publish', 'withdraw', 'toString', 'nonsense']) {
+            const response = await admin.post('/api/submission/status', { filename: note.filename, transition });
+            assert.equal(response.status, 400, transition);
+        }
+        assert.equal((await status(note.id)).status, 'Approved');
+    });
+
+    it('needs a listed reason to bin a note, and clears it when the note is restored', async () => {
+        const note = await insertSubmission(db);
+        const unexplained = await reviewer.post('/api/submission/status', { filename: note.filename, transition: 'bin' });
+        assert.equal(unexplained.status, 400);
+        const madeUp = await reviewer.post('/api/submission/status', { filename: note.filename, transition: 'bin', rejectionReason: 'Boring' });
+        assert.equal(madeUp.status, 400);
+
+        const binned = await reviewer.post('/api/submission/status', { filename: note.filename, transition: 'bin', rejectionReason: 'Background noise' });
+        assert.equal(binned.status, 200);
+        assert.deepEqual({ ...await status(note.id) }, { status: 'Binned', approved_by: null, rejection_reason: 'Background noise' });
+
+        const restored = await reviewer.post('/api/submission/status', { filename: note.filename, transition: 'restore' });
+        assert.equal(restored.status, 200);
+        assert.deepEqual({ ...await status(note.id) }, { status: 'Needs Reviewing', approved_by: null, rejection_reason: null });
+    });
+
+    it('does not let read-only staff change anything', async () => {
+        const note = await insertSubmission(db);
+        const response = await readOnly.post('/api/submission/status', { filename: note.filename, transition: 'approve' });
+        assert.equal(response.status, 403);
+        assert.equal((await status(note.id)).status, 'Needs Reviewing');
+    });
+
+    it('leaves withdrawn notes alone', async () => {
+        const note = await insertSubmission(db, { status: 'Withdrawn' });
+        const response = await admin.post('/api/submission/status', { filename: note.filename, transition: 'approve' });
+        assert.equal(response.status, 409);
+    });
+});
+
+describe('POST /api/publish/report', () => {
+    const dataDir = makeDataDir();
+    let server;
+    let db;
+    let token;
+
+    const report = async (note) => {
+        const response = await fetch(`${server.url}/api/publish/report`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id: note.id, success: true })
+        });
+        assert.equal(response.status, 200);
+        return db.get('SELECT status, publish_error FROM submissions WHERE id = ?', [note.id]);
+    };
+
+    before(async () => {
+        server = await startServer({ dataDir });
+        const admin = await signInAsAdmin(server);
+        ({ token } = (await admin.post('/api/publish/token')).body);
+        db = openDatabase(dataDir);
+    });
+
+    after(async () => {
+        await db.close();
+        await server.stop();
+        removeDataDir(dataDir);
+    });
+
+    it('moves the audio to sent_to_spotify and marks the note published', async () => {
+        const note = await insertSubmission(db, { status: 'Approved' });
+        fs.mkdirSync(path.join(dataDir, 'uploads'), { recursive: true });
+        fs.writeFileSync(path.join(dataDir, 'uploads', `${note.audio_key}.mp3`), 'audio');
+
+        assert.deepEqual(await report(note), { status: 'Published', publish_error: null });
+        assert.ok(fs.existsSync(path.join(dataDir, 'sent_to_spotify', `${note.audio_key}.mp3`)));
+    });
+
+    it('keeps a failed move as the publish error', async () => {
+        const note = await insertSubmission(db, { status: 'Approved' });
+        const row = await report(note);
+        assert.equal(row.status, 'Published');
+        assert.match(row.publish_error, /could not be moved to sent_to_spotify/);
+    });
+});
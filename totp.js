@@ -0,0 +1,59 @@
+// totp.js
+// Time-based one-time passwords (RFC 6238) for staff two-factor sign-in. Uses the settings every
+// authenticator app understands: SHA-1, 6 digits and 30-second steps, with the secret in base32.
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    return output;
+}
+
+function base32Decode(text) {
+    let bits = '';
+    for (const char of text.toUpperCase().replace(/[\s=]/g, '')) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error('Invalid base32 secret.');
+        bits += value.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    return Buffer.from(bytes);
+}
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+function codeAt(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// Returns the time step the code belongs to, or null if it doesn't match. One step either side is accepted
+// for clock drift. Steps up to `after` are refused, so the caller can store the last step used to stop replays.
+function verifyCode(secret, code, { after = -1, now = Date.now() } = {}) {
+    const normalised = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalised)) return null;
+    const current = Math.floor(now / 1000 / STEP_SECONDS);
+    for (let counter = current - 1; counter <= current + 1; counter++) {
+        if (counter <= after) continue;
+        if (crypto.timingSafeEqual(Buffer.from(codeAt(secret, counter)), Buffer.from(normalised))) return counter;
+    }
+    return null;
+}
+
+// The otpauth:// link authenticator apps import. Apps that can't open it accept the secret typed in.
+function otpauthUrl({ secret, account, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+module.exports = { generateSecret, verifyCode, otpauthUrl };
@@ -0,0 +1,94 @@
+// transcription.js
+// Speech-to-text for voicenotes, run offline on the server's CPU. Every provider offers one method:
+//   transcribe(wavPath)   resolves { language, segments: [{ start, end, text }] } with times in seconds
+// The input is always a 16 kHz mono WAV file, which is what local speech models expect.
+// Other engines (Vosk, a hosted API) plug in by adding a provider with the same method below.
+const fs = require('fs');
+const { execFile } = require('child_process');
+
+// --- whisper.cpp Provider ---
+// Runs the whisper.cpp command-line tool. WHISPER_CPP_MODEL points at a ggml model such as ggml-base.en.bin.
+function createWhisperCppProvider({ bin = 'whisper-cli', model, threads, language = 'en', timeoutMs = 10 * 60 * 1000 }) {
+    if (!model) throw new Error('WHISPER_CPP_MODEL must be set to use the whisper-cpp transcription provider.');
+
+    return {
+        name: 'whisper-cpp',
+        transcribe(wavPath) {
+            const outputBase = wavPath.replace(/\.wav$/, '');
+            const args = ['-m', model, '-f', wavPath, '-l', language, '-oj', '-of', outputBase, '-np'];
+            if (threads) args.push('-t', String(threads));
+
+            return new Promise((resolve, reject) => {
+                execFile(bin, args, { timeout: timeoutMs, maxBuffer: 10 * 1024 * 1024 }, async (err, stdout, stderr) => {
+                    if (err) {
+                        const detail = (stderr || err.message).trim().split('\n').pop();
+                        return reject(new Error(`whisper.cpp failed: ${detail}`));
+                    }
+                    try {
+                        const output = JSON.parse(await fs.promises.readFile(`${outputBase}.json`, 'utf8'));
+                        resolve({
+                            language: (output.result && output.result.language) || language,
+                            segments: (output.transcription || [])
+                                .map(segment => ({
+                                    start: segment.offsets.from / 1000,
+                                    end: segment.offsets.to / 1000,
+                                    text: segment.text.trim()
+                                }))
+                                .filter(segment => segment.text)
+                        });
+                    } catch (readErr) {
+                        reject(new Error(`Could not read the whisper.cpp output: ${readErr.message}`));
+                    } finally {
+                        fs.unlink(`${outputBase}.json`, () => {});
+                    }
+                });
+            });
+        }
+    };
+}
+
+// Builds the provider from environment variables. Returns null when transcription is switched off.
+function createTranscriber({ env = process.env } = {}) {
+    const provider = env.TRANSCRIBE_PROVIDER || 'whisper-cpp';
+    if (provider === 'none') return null;
+    if (provider === 'whisper-cpp') {
+        return createWhisperCppProvider({
+            bin: env.WHISPER_CPP_BIN,
+            model: env.WHISPER_CPP_MODEL,
+            threads: env.WHISPER_CPP_THREADS,
+            language: env.WHISPER_CPP_LANGUAGE
+        });
+    }
+    throw new Error(`Unknown transcription provider "${provider}". Use "whisper-cpp" or "none".`);
+}
+
+// --- Content Flags ---
+// The rules file has two parts: `words`, lists of whole words per category (matched case-insensitively),
+// and `patterns`, a regular expression per category for things like phone numbers or "my name is ...".
+function loadFlagRules(filePath) {
+    const rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const escape = (word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const compiled = [];
+    Object.entries(rules.words || {}).forEach(([category, words]) => {
+        if (words.length > 0) compiled.push({ category, regex: new RegExp(`\\b(?:${words.map(escape).join('|')})\\b`, 'gi') });
+    });
+    Object.entries(rules.patterns || {}).forEach(([category, rule]) => {
+        compiled.push({ category, regex: new RegExp(rule.pattern, `g${rule.ignoreCase ? 'i' : ''}`) });
+    });
+    return compiled;
+}
+
+// Every match, with the timestamps of the segment it was heard in.
+function scanTranscript(segments, rules) {
+    const flags = [];
+    segments.forEach(segment => {
+        rules.forEach(({ category, regex }) => {
+            for (const match of segment.text.matchAll(regex)) {
+                flags.push({ category, match: match[0].trim(), start: segment.start, end: segment.end });
+            }
+        });
+    });
+    return flags;
+}
+
+module.exports = { createTranscriber, createWhisperCppProvider, loadFlagRules, scanTranscript };